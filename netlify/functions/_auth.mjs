@@ -0,0 +1,103 @@
+// netlify/functions/_auth.mjs
+// Per-namespace access control. Each namespace has a PIN per role, stored
+// hashed in "<ns>/settings/access.json"; `login` trades a PIN for a token that
+// every other function checks. Roles rank counter < supervisor < admin:
+//   counter     scan (and undo their own scans)
+//   supervisor  + review, finalize, corrections, column mappings
+//   admin       + upload files, set PINs, namespace settings, migrations
+// Tokens are HMAC-SHA256 signed with AUTH_SECRET. ADMIN_PIN, if set, is an
+// admin PIN for every namespace, so the first PINs can be set; tokens from it
+// are marked `site` and may also change the namespace registry.
+import { createHmac, randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+import { bad, header } from "./_blob-common.mjs";
+
+export const ROLES = ["counter", "supervisor", "admin"];
+export const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+export const accessKeyFor = (ns) => `${ns}/settings/access.json`;
+export const roleAtLeast = (role, min) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(min);
+
+// Namespace of a stored key: its first path segment
+export const nsOfKey = (key) => {
+  const parts = String(key || "").split("/");
+  return parts.length > 1 ? parts[0] : "";
+};
+
+function secret() {
+  const s = process.env.AUTH_SECRET;
+  if (!s) throw new Error("AUTH_SECRET is not set");
+  return s;
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+const sign = (payload) => createHmac("sha256", secret()).update(payload).digest("base64url");
+
+function sameText(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export function hashPin(pin) {
+  const salt = randomBytes(16);
+  return `${salt.toString("hex")}:${scryptSync(String(pin), salt, 32).toString("hex")}`;
+}
+
+export function checkPin(pin, stored) {
+  const [salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  const got = scryptSync(String(pin), Buffer.from(salt, "hex"), 32);
+  const want = Buffer.from(hash, "hex");
+  return got.length === want.length && timingSafeEqual(got, want);
+}
+
+export const isAdminPin = (pin) => !!process.env.ADMIN_PIN && sameText(pin, process.env.ADMIN_PIN);
+
+// "<payload>.<signature>", payload = base64url JSON { ns, role, site, exp }
+export function signToken({ ns, role, site = false }) {
+  const exp = Date.now() + TOKEN_TTL_MS;
+  const payload = b64url(JSON.stringify({ ns, role, site, exp }));
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+export function verifyToken(token) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !sameText(sig, sign(payload))) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return data.exp > Date.now() && ROLES.includes(data.role) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks the request's bearer token against namespace `ns` and the lowest
+ * role allowed. Returns { user: { ns, role } } or { denied: <401/403 response> }.
+ */
+export function authorize(event, ns, minRole) {
+  const { user, denied } = tokenUser(event);
+  if (denied) return { denied };
+  if (!ns || user.ns !== ns) return { denied: bad(`Not signed in to namespace "${ns}"`, 403) };
+  if (!roleAtLeast(user.role, minRole)) return { denied: bad(`Needs the ${minRole} role`, 403) };
+  return { user };
+}
+
+// Registry changes (create, archive, delete namespaces): ADMIN_PIN sign-ins only
+export function authorizeSite(event) {
+  const { user, denied } = tokenUser(event);
+  if (denied) return { denied };
+  if (!user.site) return { denied: bad("Needs a sign-in with the site admin PIN", 403) };
+  return { user };
+}
+
+function tokenUser(event) {
+  const m = String(header(event, "authorization") || "").match(/^Bearer\s+(.+)$/i);
+  let user;
+  try {
+    user = m ? verifyToken(m[1].trim()) : null;
+  } catch (e) {
+    return { denied: bad(`Auth error: ${e?.message || e}`, 500) };
+  }
+  return user ? { user } : { denied: bad("Sign in first", 401) };
+}
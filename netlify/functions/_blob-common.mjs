@@ -26,10 +26,10 @@ export function getInventoryStore() {
   return getStore(opts);
 }
 
-export function json(res, status = 200) {
+export function json(res, status = 200, headers = {}) {
   return {
     statusCode: status,
-    headers: { "content-type": "application/json" },
+    headers: { "content-type": "application/json", ...headers },
     body: JSON.stringify(res),
   };
 }
@@ -40,3 +40,84 @@ export function bad(res, status = 400) {
     status
   );
 }
+
+/* ─────────────────────────────
+   Inventory files
+   ───────────────────────────── */
+
+// Files the app can count from, by extension, with their content types
+export const INVENTORY_FILE_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  xls: "application/vnd.ms-excel",
+};
+
+// "csv" | "xlsx" | "xls" for an inventory file key, null for anything else
+// (scan snapshots, event logs, settings)
+export function fileTypeOf(key) {
+  const ext = String(key || "").match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  return ext && Object.hasOwn(INVENTORY_FILE_TYPES, ext) ? ext : null;
+}
+
+/* ─────────────────────────────
+   JSON document versions
+   ───────────────────────────── */
+
+// Every JSON blob carries metadata.version (1, 2, …), exposed as ETag "v<n>".
+export const etagFor = (version) => `"v${version}"`;
+
+// Accepts "v3", "\"v3\"", W/"v3" or a bare 3; returns null for "*" or garbage
+export function parseEtag(v) {
+  const m = String(v ?? "").trim().match(/^(?:W\/)?"?v?(\d+)"?$/);
+  return m ? Number(m[1]) : null;
+}
+
+export function header(event, name) {
+  const h = event?.headers || {};
+  const want = name.toLowerCase();
+  for (const k of Object.keys(h)) if (k.toLowerCase() === want) return h[k];
+  return undefined;
+}
+
+// Documents written before versioning existed count as version 1 (and have no updatedAt).
+// Reads are eventually consistent (a recent write may not show yet) unless
+// `consistency: "strong"` is asked for: reads that decide a precondition or a
+// state check must ask for it.
+export async function readJSONVersioned(store, key, { consistency } = {}) {
+  const got = await store.getWithMetadata(key, { type: "text", consistency });
+  if (!got || got.data == null) return { exists: false, data: null, version: 0, updatedAt: null };
+  const v = Number(got.metadata?.version);
+  return {
+    exists: true,
+    data: JSON.parse(got.data),
+    version: Number.isFinite(v) && v > 0 ? v : 1,
+    updatedAt: got.metadata?.updatedAt || null,
+  };
+}
+
+/**
+ * Write a JSON document, honouring If-Match / If-None-Match preconditions.
+ * Returns { ok, version } or { conflict, current, version } with the server copy.
+ * Blobs offers no compare-and-set, so this narrows the race to the gap between
+ * the (strongly consistent) metadata read and the write — enough to stop stale
+ * autosaves clobbering.
+ */
+export async function writeJSONVersioned(store, key, data, { ifMatch, ifNoneMatch } = {}) {
+  const cur = await readJSONVersioned(store, key, { consistency: "strong" });
+
+  if (ifNoneMatch === "*" && cur.exists) {
+    return { conflict: true, current: cur.data, version: cur.version };
+  }
+  if (ifMatch != null && ifMatch !== "") {
+    const want = ifMatch === "*" ? null : parseEtag(ifMatch);
+    const ok = ifMatch === "*" ? cur.exists : want != null && want === cur.version;
+    if (!ok) return { conflict: true, current: cur.data, version: cur.version };
+  }
+
+  const version = cur.version + 1;
+  await store.set(key, Buffer.from(JSON.stringify(data), "utf8"), {
+    contentType: "application/json",
+    metadata: { version, updatedAt: new Date().toISOString() },
+  });
+  return { ok: true, version };
+}
@@ -0,0 +1,79 @@
+// netlify/functions/_namespaces.mjs
+// Namespace registry: the branches the app offers, with their settings, in
+// "namespaces.json" (outside every namespace, so no namespace token reaches
+// it through blob-get-json / blob-put-json). Until the first change the
+// registry is the three branches the app started with.
+//   { namespaces: [{ id, name, timezone, archived, defaults: { mapping, blind, tolerance }, createdAt, … }] }
+// `id` is the key prefix of the namespace's files and never changes; `name`
+// is only what the app shows.
+import { readJSONVersioned } from "./_blob-common.mjs";
+import { normalizeTolerance } from "./_sessions.mjs";
+
+export const REGISTRY_KEY = "namespaces.json";
+
+const SEED = ["Jeddah", "Riyadh", "Dammam"];
+const DEFAULT_TIMEZONE = "Asia/Riyadh";
+const MAPPING_FIELDS = ["barcode", "name", "onHand", "reserved", "cost", "sku", "location", "category"];
+
+export const isNamespaceId = (id) => /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/.test(String(id || ""));
+
+export const isTimezone = (tz) => {
+  try {
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export function newNamespace({ id, name, timezone }, by = "") {
+  return {
+    id,
+    name: String(name || id).trim().slice(0, 80) || id,
+    timezone: timezone || DEFAULT_TIMEZONE,
+    archived: false,
+    defaults: { mapping: null, blind: false, tolerance: null },
+    createdBy: by,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+export async function readRegistry(store) {
+  const out = await readJSONVersioned(store, REGISTRY_KEY);
+  if (out.exists) return { ...out, data: { namespaces: out.data?.namespaces || [] } };
+  return { ...out, data: { namespaces: SEED.map((id) => ({ ...newNamespace({ id }), createdAt: null })) } };
+}
+
+export async function findNamespace(store, id) {
+  const { data } = await readRegistry(store);
+  return data.namespaces.find((n) => n.id === id) || null;
+}
+
+/**
+ * Settings a namespace admin may change: name, timezone and the defaults
+ * (column mapping by field, blind count for new uploads, recount tolerance).
+ * Returns { patch } with only the fields given, or { error }.
+ */
+export function settingsPatch(body) {
+  const patch = {};
+  if (body.name !== undefined) {
+    const name = String(body.name || "").trim().slice(0, 80);
+    if (!name) return { error: "Name cannot be empty" };
+    patch.name = name;
+  }
+  if (body.timezone !== undefined) {
+    if (!isTimezone(body.timezone)) return { error: `Unknown timezone "${body.timezone}"` };
+    patch.timezone = String(body.timezone);
+  }
+  if (body.defaults !== undefined) {
+    const d = body.defaults || {};
+    let mapping = null;
+    if (d.mapping) {
+      mapping = {};
+      for (const f of MAPPING_FIELDS) if (d.mapping[f]) mapping[f] = String(d.mapping[f]);
+      if (!mapping.barcode || !mapping.name || !mapping.onHand) return { error: "Default mapping needs barcode, name and onHand" };
+    }
+    patch.defaults = { mapping, blind: !!d.blind, tolerance: normalizeTolerance(d.tolerance) };
+  }
+  return { patch };
+}
@@ -0,0 +1,393 @@
+// netlify/functions/_scan-log.mjs
+// Append-only scan event log: one blob per POSTed batch, folded on read.
+// Blobs has no conditional writes, so appending new keys is the only way two
+// counters can save at the same time without one overwriting the other.
+// Every event carries a client-made `id`; a batch sent twice (a retry after a
+// lost response, an offline replay) is folded once. Once a file has more than
+// COMPACT_BATCHES batches, those older than COMPACT_SETTLE_MS are folded into
+// its snapshot and deleted (compactScanLog), so reads stay short.
+import { readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { aggregateItems } from "../../src/lib/scan-items.js";
+
+export const MAX_BATCH = 500;
+export const COMPACT_BATCHES = 100;
+// Appends still being written when a compaction lists the log must not be
+// left behind by its `foldedThrough`: only batches this old are compacted
+const COMPACT_SETTLE_MS = 60 * 60 * 1000;
+
+// Optional per-entry fields kept as sent (string/number/boolean/null only)
+const EXTRA_FIELDS = [
+  "recount",       // "pending" | "done" — variance outside tolerance
+  "firstActual",   // first count of a recounted item
+  "firstCounter",
+  "firstTs",
+  "accepted",      // "first" | "second" — which count was accepted
+  "unknown",       // true for barcodes not in the CSV
+  "note",          // free text (e.g. photo reference) for unknown items
+  "pack",          // pack level scanned ("Inner", "Carton", …), null for unit barcodes
+  "packSize",      // units per scanned pack
+  "packCount",     // packs typed in the dialog (quantities are stored in units)
+  "scannedBarcode",// the pack barcode actually scanned
+  "source",        // "search" when the item was picked by name/SKU instead of scanned
+  "zeroed",        // true: not counted, recorded as 0 when a wall-to-wall count was finalized
+  "location",      // bin/location the count was made in ("" or absent = whole item)
+  "correction",    // "edit" | "delete" | "undo" | "reset" — a change to earlier counts
+  "prevActual",    // the actual the correction replaced (null when there was none)
+  "undoes",        // id of the event an undo reverses
+  "cleared",       // number of entries a reset removed
+];
+
+const pickExtras = (e) => {
+  const out = {};
+  for (const k of EXTRA_FIELDS) {
+    const v = e?.[k];
+    if (v === undefined) continue;
+    if (v === null || ["string", "number", "boolean"].includes(typeof v)) out[k] = typeof v === "string" ? v.slice(0, 200) : v;
+  }
+  return out;
+};
+
+// Same derivation as the client's scansKeyFor: "<prefix>/scans/<base>.json"
+export function scansKeyFor(fileKey) {
+  const parts = String(fileKey || "").split("/");
+  const base = (parts.pop() || "file").replace(/\.[^.]+$/, "");
+  const prefix = parts.join("/");
+  return `${prefix ? prefix + "/" : ""}scans/${base}.json`;
+}
+
+// Folder holding the event batches of one file: "<prefix>/scanlog/<base>/"
+export function scanLogPrefixFor(fileKey) {
+  const parts = String(fileKey || "").split("/");
+  const base = (parts.pop() || "file").replace(/\.[^.]+$/, "");
+  const prefix = parts.join("/");
+  return `${prefix ? prefix + "/" : ""}scanlog/${base}/`;
+}
+
+const safeId = (s) => String(s || "anon").replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 40);
+
+// Client event ids are kept as sent; events from clients that don't send one
+// get a server id (so they are never mistaken for each other)
+const eventId = (id) =>
+  /^[A-Za-z0-9_-]{8,80}$/.test(String(id ?? "")) ? String(id) : `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+const finite = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(String(v ?? ""));
+  return Number.isFinite(n) ? n : null;
+};
+
+/**
+ * Validate and normalize incoming events. Returns { events } or { error }.
+ * Supported types: "count" (default, absolute actual), "add" (adds `qty` to
+ * the running tally — negative undoes), "delete" (drops one barcode/location
+ * entry) and "reset" (drops everything older).
+ */
+export function normalizeEvents(body) {
+  const list = Array.isArray(body?.events) ? body.events : body ? [body] : [];
+  if (!list.length) return { error: "No events" };
+  if (list.length > MAX_BATCH) return { error: `Too many events (max ${MAX_BATCH})` };
+
+  const receivedAt = new Date().toISOString();
+  const events = [];
+  for (const e of list) {
+    const type = e?.type || "count";
+    const ts = e?.ts && !Number.isNaN(new Date(e.ts).getTime()) ? new Date(e.ts).toISOString() : receivedAt;
+    const base = {
+      id: eventId(e?.id),
+      type,
+      ts,
+      receivedAt,
+      counter: String(e?.counter ?? "").trim().slice(0, 80),
+      clientId: safeId(e?.clientId),
+    };
+
+    if (type === "reset") {
+      events.push({ ...base, ...pickExtras(e) });
+      continue;
+    }
+    if (type !== "count" && type !== "add" && type !== "delete") return { error: `Unknown event type: ${type}` };
+
+    const barcode = String(e?.barcode ?? "").trim();
+    if (!barcode) return { error: "Event missing barcode" };
+    const prevOnHand = finite(e?.prevOnHand) ?? 0;
+
+    if (type === "delete") {
+      events.push({ ...base, ...pickExtras(e), barcode, name: String(e?.name ?? "") });
+      continue;
+    }
+
+    if (type === "add") {
+      const qty = finite(e?.qty);
+      if (qty == null) return { error: `Add event for ${barcode} has no numeric qty` };
+      events.push({
+        ...base,
+        ...pickExtras(e),
+        barcode,
+        qty,
+        name: String(e?.name ?? ""),
+        prevOnHand,
+        reserved: finite(e?.reserved) ?? 0,
+      });
+      continue;
+    }
+
+    const actual = finite(e?.actual);
+    if (actual == null) return { error: `Event for ${barcode} has no numeric actual` };
+
+    events.push({
+      ...base,
+      ...pickExtras(e),
+      barcode,
+      actual,
+      name: String(e?.name ?? ""),
+      prevOnHand,
+      reserved: finite(e?.reserved) ?? 0,
+      delta: actual - prevOnHand,
+    });
+  }
+  return { events };
+}
+
+export async function appendScanEvents(store, fileKey, events) {
+  const clientId = safeId(events[0]?.clientId);
+  const rand = Math.random().toString(36).slice(2, 8);
+  // Zero-padded time first so keys sort in arrival order
+  const key = `${scanLogPrefixFor(fileKey)}${String(Date.now()).padStart(15, "0")}_${clientId}_${rand}.json`;
+  await store.set(key, JSON.stringify({ events }), { metadata: { count: events.length } });
+  return key;
+}
+
+// Every batch of the log in arrival order: [{ key, events, broken }]
+async function readBatches(store, fileKey, { consistency } = {}) {
+  const out = await store.list({ prefix: scanLogPrefixFor(fileKey) });
+  const keys = (out?.blobs || []).map((b) => b.key).sort();
+  return Promise.all(
+    keys.map(async (key) => {
+      try {
+        const text = await store.get(key, { type: "text", consistency });
+        const parsed = text ? JSON.parse(text) : null;
+        return { key, events: Array.isArray(parsed?.events) ? parsed.events : [], broken: false };
+      } catch {
+        return { key, events: [], broken: true }; // a broken batch must not hide everyone else's counts
+      }
+    })
+  );
+}
+
+export async function readScanEvents(store, fileKey, opts) {
+  const batches = await readBatches(store, fileKey, opts);
+  return { events: batches.flatMap((b) => b.events), batches: batches.length };
+}
+
+// Counts are kept per (barcode, location); an item's total is the sum over its locations
+// (see aggregateItems)
+export const entryKey = (d) => `${d.barcode}\n${d.location || ""}`;
+
+// Item-level view of per-location entries, the same code as the app's
+export { aggregateItems };
+
+const MAX_HISTORY = 100;
+
+/**
+ * Count history of an entry after event `e` produced `next` from `prev`:
+ * one step per count/edit/undo, consecutive tally adds by the same counter
+ * merged into one step. Entries from before history existed start with themselves.
+ */
+export function historyAfter(prev, next, e) {
+  const history = prev?.history || (prev ? [{ type: "count", actual: prev.actual, counter: prev.counter || "", ts: prev.ts }] : []);
+  const step = { type: e.correction || e.type, actual: next.actual, counter: e.counter || "", ts: e.ts };
+  const last = history[history.length - 1];
+  if (e.type === "add" && !e.correction) {
+    if (last?.type === "add" && last.counter === step.counter) {
+      return [...history.slice(0, -1), { ...last, qty: last.qty + e.qty, actual: next.actual, ts: e.ts }];
+    }
+    step.qty = e.qty;
+  }
+  return [...history, step].slice(-MAX_HISTORY);
+}
+
+// What a correction leaves on an entry; a plain tally add on top drops it
+const CORRECTION_FIELDS = ["correction", "prevActual", "undoes", "cleared"];
+export function withoutCorrection(d) {
+  if (!d) return d;
+  const out = { ...d };
+  for (const k of CORRECTION_FIELDS) delete out[k];
+  return out;
+}
+
+const historyOfEntry = (d) => d.history || [{ type: "count", actual: d.actual, counter: d.counter || "", ts: d.ts }];
+
+// Latest ts of anything but a tally add in an entry's history: an add older
+// than that was overwritten by the count
+const lastCountAt = (d) =>
+  historyOfEntry(d)
+    .filter((h) => h.type !== "add")
+    .reduce((m, h) => (String(h.ts || "") > m ? String(h.ts) : m), "");
+
+/**
+ * Fold events over a base snapshot (legacy `{ diffs }` array) into the
+ * current per-(barcode, location) state. Newest count wins, adds accumulate on top of it,
+ * a reset drops anything older; every entry keeps the history of its counts.
+ * `baseAt` is when the base was folded (server time): events received by then
+ * are already in it, everything later is applied on top of it whatever its
+ * client `ts`, so a late tally add is never lost. Repeated event ids are folded once.
+ * Returned newest first, like the client keeps them.
+ */
+export function foldScanEvents(baseDiffs, events, { baseAt = null } = {}) {
+  const byCode = new Map();
+  for (const d of Array.isArray(baseDiffs) ? baseDiffs : []) if (d?.barcode) byCode.set(entryKey(d), d);
+
+  const seen = new Set();
+  const fresh = (Array.isArray(events) ? events : [])
+    .filter((e) => {
+      if (baseAt && e.receivedAt && String(e.receivedAt) <= baseAt) return false;
+      if (!e.id) return true;
+      if (seen.has(e.id)) return false;
+      seen.add(e.id);
+      return true;
+    })
+    .sort((a, b) => String(a.ts || "").localeCompare(String(b.ts || "")));
+
+  for (const e of fresh) {
+    const ts = String(e.ts || "");
+    if (e.type === "reset") {
+      // base entries counted after the reset (by ts) survive it
+      for (const [k, d] of byCode) if (String(d.ts || "") <= ts) byCode.delete(k);
+      continue;
+    }
+    if (!e.barcode) continue;
+    const { type, receivedAt, qty, ...entry } = e;
+    const prev = byCode.get(entryKey(e));
+    // only base entries can be newer than an event: a later count there wins
+    if (type === "add" ? prev && lastCountAt(prev) > ts : prev && String(prev.ts || "") > ts) continue;
+    if (type === "delete") {
+      byCode.delete(entryKey(e));
+      continue;
+    }
+    const next =
+      type === "add"
+        ? {
+            ...(entry.correction ? prev : withoutCorrection(prev)),
+            ...entry,
+            actual: (prev?.actual ?? 0) + qty,
+            delta: (prev?.actual ?? 0) + qty - (entry.prevOnHand ?? 0),
+          }
+        : entry;
+    next.history = historyAfter(prev, next, e);
+    byCode.set(entryKey(e), next);
+  }
+
+  return Array.from(byCode.values()).sort((a, b) => String(b.ts || "").localeCompare(String(a.ts || "")));
+}
+
+// Audit trail: edits, deletes, undos and resets, newest first
+export function correctionsOf(events, limit = 500) {
+  return (Array.isArray(events) ? events : [])
+    .filter((e) => e.correction || e.type === "reset")
+    .map(({ type, correction, barcode, location, name, actual, qty, prevActual, cleared, counter, ts }) => ({
+      type,
+      correction: correction || type,
+      barcode,
+      location,
+      name,
+      actual,
+      qty,
+      prevActual,
+      cleared,
+      counter,
+      ts,
+    }))
+    .sort((a, b) => String(b.ts || "").localeCompare(String(a.ts || "")))
+    .slice(0, limit);
+}
+
+// `foldedThrough` of a snapshot that holds none of the log's events
+export const NOTHING_FOLDED = new Date(0).toISOString();
+
+/**
+ * When a snapshot was folded. Snapshots the server writes say so in
+ * `foldedThrough` (NOTHING_FOLDED or null when they hold no log events);
+ * ones without the field were saved by clients from the fold they had just
+ * read, so their write time stands in. Null for snapshots from before the log.
+ */
+export const snapshotCoverage = (data, updatedAt) =>
+  data && Object.hasOwn(data, "foldedThrough") ? data.foldedThrough || NOTHING_FOLDED : updatedAt || null;
+
+// `baseAt` to fold a snapshot with: an empty one holds nothing, unless the
+// server wrote it (a compaction can fold everything away)
+const baseAtOf = (data, updatedAt) =>
+  data?.diffs?.length || (data && Object.hasOwn(data, "foldedThrough")) ? snapshotCoverage(data, updatedAt) : null;
+
+// Corrections of a snapshot (compacted ones keep theirs) and of the log events after it
+const correctionsSince = (data, baseAt, events) =>
+  Array.isArray(data?.corrections)
+    ? correctionsOf([...data.corrections, ...events.filter((e) => !baseAt || String(e.receivedAt || "") > baseAt)])
+    : correctionsOf(events);
+
+const lastTsOf = (events, from = "") => events.reduce((m, e) => (e.ts > m ? e.ts : m), from || "") || null;
+
+// Snapshot at `baseKey` (canonical scans key by default) folded with the log.
+// Snapshots are written by compaction only; clients no longer save them.
+// `consistency: "strong"` when the state decides what is written next.
+export async function readScanState(store, fileKey, baseKey = scansKeyFor(fileKey), { consistency } = {}) {
+  let data = null;
+  let base = [];
+  let baseAt = null;
+  try {
+    const snap = await readJSONVersioned(store, baseKey, { consistency });
+    data = snap.data;
+    base = Array.isArray(data?.diffs) ? data.diffs : [];
+    baseAt = baseAtOf(data, snap.updatedAt);
+  } catch {
+    // unreadable snapshot: the log alone still gives the state
+  }
+
+  const { events, batches } = await readScanEvents(store, fileKey, { consistency });
+  const diffs = foldScanEvents(base, events, { baseAt });
+  return {
+    base: baseKey,
+    diffs,
+    events: events.length,
+    batches,
+    lastEventAt: lastTsOf(events, data?.lastEventAt),
+    corrections: correctionsSince(data, baseAt, events),
+  };
+}
+
+/**
+ * Fold the log's batches older than COMPACT_SETTLE_MS into the canonical
+ * snapshot, then delete them. The snapshot keeps the corrections they held and
+ * `foldedThrough` moves up to the cutoff. A snapshot that changed meanwhile
+ * wins: nothing is deleted and the next compaction tries again.
+ * Returns { compacted } — the number of batches folded away.
+ */
+export async function compactScanLog(store, fileKey) {
+  const key = scansKeyFor(fileKey);
+  const cutoff = new Date(Date.now() - COMPACT_SETTLE_MS).toISOString();
+  // the version read here is the If-Match of the write below
+  const snap = await readJSONVersioned(store, key, { consistency: "strong" });
+  const base = Array.isArray(snap.data?.diffs) ? snap.data.diffs : [];
+  const baseAt = baseAtOf(snap.data, snap.updatedAt);
+  if (baseAt && baseAt > cutoff) return { compacted: 0 }; // already holds events past the cutoff
+
+  // every event of a batch was received at once
+  const old = (await readBatches(store, fileKey, { consistency: "strong" })).filter(
+    (b) => !b.broken && b.events.length && String(b.events[0].receivedAt || "") <= cutoff
+  );
+  if (!old.length) return { compacted: 0 };
+
+  const events = old.flatMap((b) => b.events);
+  const out = await writeJSONVersioned(
+    store,
+    key,
+    {
+      diffs: foldScanEvents(base, events, { baseAt }),
+      foldedThrough: cutoff,
+      corrections: correctionsSince(snap.data, baseAt, events),
+      lastEventAt: lastTsOf(events, snap.data?.lastEventAt),
+    },
+    { ifMatch: String(snap.version) }
+  );
+  if (out.conflict) return { compacted: 0 };
+  for (const b of old) await store.delete(b.key);
+  return { compacted: old.length };
+}
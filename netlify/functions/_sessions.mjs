@@ -0,0 +1,115 @@
+// netlify/functions/_sessions.mjs
+// Count sessions: one record per uploaded file, open → review → finalized.
+// Finalized sessions are read-only; their results live in a frozen snapshot.
+// `blind` sessions hide system quantities from counters until review;
+// `tolerance` { abs, pct, value } decides which variances need a recount.
+import { bad, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+
+export const SESSION_STATES = ["open", "review", "finalized"];
+
+// action -> allowed source states and target state
+const TRANSITIONS = {
+  review: { from: ["open"], to: "review" },
+  reopen: { from: ["review"], to: "open" },
+  finalize: { from: ["review"], to: "finalized" },
+};
+
+const split = (fileKey) => {
+  const parts = String(fileKey || "").split("/");
+  const base = (parts.pop() || "file").replace(/\.[^.]+$/, "");
+  const prefix = parts.join("/");
+  return { base, prefix: prefix ? prefix + "/" : "" };
+};
+
+// "<prefix>/sessions/<base>.json"
+export function sessionKeyFor(fileKey) {
+  const { base, prefix } = split(fileKey);
+  return `${prefix}sessions/${base}.json`;
+}
+
+// "<prefix>/sessions/<base>.final.json" — results frozen at finalization
+export function finalKeyFor(fileKey) {
+  const { base, prefix } = split(fileKey);
+  return `${prefix}sessions/${base}.final.json`;
+}
+
+export function newSession({ fileKey, ns, by, blind = false, tolerance = null }) {
+  const now = new Date().toISOString();
+  return {
+    file: fileKey,
+    ns: ns || String(fileKey || "").split("/")[0] || "default",
+    state: "open",
+    blind: !!blind,
+    tolerance: normalizeTolerance(tolerance),
+    startedBy: by || "",
+    startedAt: now,
+    history: [{ from: null, to: "open", by: by || "", at: now }],
+  };
+}
+
+// Files uploaded before sessions existed behave as an open session. Read
+// strongly: what may happen next depends on the state.
+export async function readSession(store, fileKey) {
+  const out = await readJSONVersioned(store, sessionKeyFor(fileKey), { consistency: "strong" });
+  if (out.exists) return out;
+  return { exists: false, version: 0, data: { ...newSession({ fileKey }), startedAt: null, history: [], legacy: true } };
+}
+
+export function createSession(store, { fileKey, ns, by, blind, tolerance }) {
+  return writeJSONVersioned(store, sessionKeyFor(fileKey), newSession({ fileKey, ns, by, blind, tolerance }), { ifNoneMatch: "*" });
+}
+
+// { abs: units, pct: % of On Hand, value: |delta| × cost } — null/blank = not used
+export function normalizeTolerance(t) {
+  if (!t || typeof t !== "object") return null;
+  const num = (v) => {
+    const n = parseFloat(String(v ?? ""));
+    return Number.isFinite(n) && n >= 0 ? n : null;
+  };
+  const out = { abs: num(t.abs), pct: num(t.pct), value: num(t.value) };
+  return out.abs == null && out.pct == null && out.value == null ? null : out;
+}
+
+// Counting settings that may change while the session is not finalized
+export function configure(session, settings, by) {
+  if (session.state === "finalized") return { error: "Cannot configure a finalized session", status: 409 };
+  const { legacy, ...rest } = session;
+  const next = { ...rest };
+  if (settings.blind != null) next.blind = !!settings.blind;
+  if (settings.tolerance !== undefined) next.tolerance = normalizeTolerance(settings.tolerance);
+  if (settings.sheet !== undefined) next.sheet = settings.sheet ? String(settings.sheet).slice(0, 200) : null;
+  next.configuredBy = by || "";
+  next.configuredAt = new Date().toISOString();
+  return { session: next };
+}
+
+/**
+ * Apply an action to a session record. Returns { session } or { error, status }.
+ * `extra` is merged into the record (finalize adds the snapshot details).
+ */
+export function transition(session, action, by, extra = {}) {
+  const t = TRANSITIONS[action];
+  if (!t) return { error: `Unknown action: ${action}`, status: 400 };
+  if (!t.from.includes(session.state)) {
+    return { error: `Cannot ${action} a session that is ${session.state}`, status: 409 };
+  }
+  const at = new Date().toISOString();
+  const { legacy, ...rest } = session;
+  return {
+    session: {
+      ...rest,
+      ...extra,
+      state: t.to,
+      history: [...(rest.history || []), { from: session.state, to: t.to, by: by || "", at }],
+      ...(t.to === "finalized" ? { finalizedBy: by || "", finalizedAt: at } : {}),
+    },
+  };
+}
+
+// null when writes are allowed, otherwise a ready 423 response
+export async function rejectIfFinalized(store, sessionKey) {
+  if (!sessionKey) return null;
+  const { exists, data } = await readJSONVersioned(store, sessionKey, { consistency: "strong" });
+  if (!exists || data?.state !== "finalized") return null;
+  return bad(`Count session is finalized (by ${data.finalizedBy || "unknown"} at ${data.finalizedAt}); scans are read-only`, 423);
+}
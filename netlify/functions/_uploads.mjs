@@ -0,0 +1,34 @@
+// netlify/functions/_uploads.mjs
+// Storing an uploaded inventory file, shared by the single-request upload
+// (blob-upload) and the chunked one (blob-upload-chunked).
+import { fileTypeOf, INVENTORY_FILE_TYPES } from "./_blob-common.mjs";
+import { createSession } from "./_sessions.mjs";
+import { findNamespace } from "./_namespaces.mjs";
+
+// Parts of a chunked upload: "<ns>/uploads/<id>/part-<n>" next to its manifest.
+// They are kept after completion: the stored file only points at them.
+export const uploadDirFor = (ns, id) => `${ns}/uploads/${id}`;
+export const uploadManifestKey = (ns, id) => `${uploadDirFor(ns, id)}/manifest.json`;
+export const uploadPartKey = (ns, id, n) => `${uploadDirFor(ns, id)}/part-${String(n).padStart(5, "0")}`;
+
+export function sanitizeName(s = "file.csv") {
+  return String(s).replace(/[^a-zA-Z0-9._-]/g, "_");
+}
+
+// Key of a newly uploaded file: "<ns>/<timestamp>_<name>"
+export const uploadFileKey = (ns, name) => `${ns}/${Date.now()}_${name}`;
+
+// Saves the file under `key` (a new uploadFileKey by default) and starts its
+// count session, with the namespace's default recount tolerance. A chunked
+// upload passes `upload` (its id) instead of `bytes`: the file's blob is then
+// empty, with metadata { upload } telling blob-download to serve the parts.
+export async function saveUpload(store, { ns, name, key = uploadFileKey(ns, name), bytes, upload, by, blind }) {
+  const contentType = INVENTORY_FILE_TYPES[fileTypeOf(name)];
+  if (upload) await store.set(key, "", { contentType, metadata: { upload } });
+  else await store.set(key, bytes, { contentType });
+
+  // every upload starts a new count session
+  const tolerance = (await findNamespace(store, ns))?.defaults?.tolerance || null;
+  const out = await createSession(store, { fileKey: key, ns, by, blind, tolerance });
+  return { key, session: out.ok ? "open" : null };
+}
@@ -0,0 +1,55 @@
+// netlify/functions/access.mjs
+// PINs of a namespace (admin only).
+//   GET  ?ns=<namespace>                         → { roles: { counter: true, supervisor: false, admin: … } } (which have a PIN)
+//   POST ?ns=<namespace>  body { role, pin }     → set that role's PIN
+//   POST ?ns=<namespace>  body { role, pin: "" } → remove it
+// PINs are stored hashed in "<ns>/settings/access.json".
+import { getInventoryStore, json, bad, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { ROLES, accessKeyFor, authorize, hashPin } from "./_auth.mjs";
+
+const MIN_PIN = 4;
+
+const rolesOf = (data) => Object.fromEntries(ROLES.map((r) => [r, !!data?.pins?.[r]]));
+
+export async function handler(event) {
+  const ns = event.queryStringParameters?.ns;
+  if (!ns) return bad("Missing ns", 400);
+  const { denied } = authorize(event, ns, "admin");
+  if (denied) return denied;
+
+  try {
+    const store = getInventoryStore();
+    const key = accessKeyFor(ns);
+
+    if (event.httpMethod === "GET") {
+      const { data } = await readJSONVersioned(store, key);
+      return json({ ok: true, ns, roles: rolesOf(data) });
+    }
+    if (event.httpMethod !== "POST") return bad("Use GET or POST", 405);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return bad("Body is not JSON", 400);
+    }
+    const role = body.role;
+    if (!ROLES.includes(role)) return bad(`role must be one of ${ROLES.join(", ")}`, 400);
+    const pin = String(body.pin ?? "");
+    if (pin && pin.length < MIN_PIN) return bad(`PINs need at least ${MIN_PIN} characters`, 400);
+
+    // Read-then-write with a version check; retry if a login or another admin wrote meanwhile
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data, version } = await readJSONVersioned(store, key);
+      const pins = { ...(data?.pins || {}) };
+      if (pin) pins[role] = hashPin(pin);
+      else delete pins[role];
+      const next = { ...(data || {}), pins, updatedAt: new Date().toISOString() };
+      const out = await writeJSONVersioned(store, key, next, { ifMatch: String(version) });
+      if (!out.conflict) return json({ ok: true, ns, roles: rolesOf(next) });
+    }
+    return bad("Access settings changed meanwhile, try again", 409);
+  } catch (e) {
+    return bad(`Access error: ${e?.message || e}`, 500);
+  }
+}
@@ -1,27 +1,63 @@
 // netlify/functions/blob-download.mjs
-import { getInventoryStore, bad } from "./_blob-common.mjs";
+//   GET ?key=<file>           → the file; for one stored in parts (a chunked upload),
+//                               { parts, size, sha256, partSha256, contentType } with x-file-parts
+//   GET ?key=<file>&part=<n>  → part n of such a file (bytes, x-part-sha256)
+import { getInventoryStore, json, bad, fileTypeOf, readJSONVersioned, INVENTORY_FILE_TYPES } from "./_blob-common.mjs";
+import { authorize, nsOfKey } from "./_auth.mjs";
+import { uploadManifestKey, uploadPartKey } from "./_uploads.mjs";
+
+const bytesResponse = (buf, contentType, headers = {}) => ({
+  statusCode: 200,
+  headers: { "content-type": contentType, "access-control-allow-origin": "*", ...headers },
+  body: Buffer.from(buf).toString("base64"),
+  isBase64Encoded: true,
+});
+
+// Parts are as big as a response can carry, so the app fetches them one by one
+async function parted(store, key, upload, part) {
+  const ns = nsOfKey(key);
+  const { data: manifest } = await readJSONVersioned(store, uploadManifestKey(ns, upload));
+  if (!manifest?.partSha256) return bad(`Parts of ${key} are missing`, 404);
+  const contentType = INVENTORY_FILE_TYPES[fileTypeOf(key)];
+
+  if (part == null) {
+    const { parts, size, sha256, partSha256 } = manifest;
+    return json({ ok: true, key, parts, size, sha256, partSha256, contentType }, 200, { "x-file-parts": String(parts) });
+  }
+  const n = Number(part);
+  if (!Number.isInteger(n) || n < 1 || n > manifest.parts) return bad(`part must be 1…${manifest.parts}`, 400);
+  const buf = await store.get(uploadPartKey(ns, upload, n), { type: "arrayBuffer" });
+  if (buf == null) return bad(`Part ${n} of ${key} is missing`, 404);
+  return bytesResponse(buf, "application/octet-stream", { "x-part-sha256": manifest.partSha256[n - 1] });
+}
 
 export async function handler(event) {
   if (event.httpMethod !== "GET") return bad("Use GET", 405);
-  const key = event.queryStringParameters?.key;
+  const { key, part } = event.queryStringParameters || {};
   if (!key) return bad("Missing key", 400);
+  // only inventory files, of the namespace signed in to
+  if (!fileTypeOf(key)) return bad("Only inventory files can be downloaded", 403);
+  const { denied } = authorize(event, nsOfKey(key), "counter");
+  if (denied) return denied;
 
   try {
     const store = getInventoryStore();
+    const type = fileTypeOf(key);
+
+    const got = await store.getWithMetadata(key, { type: "arrayBuffer" });
+    if (got == null) return bad(`Not found: ${key}`, 404);
+    if (got.metadata?.upload) return await parted(store, key, got.metadata.upload, part);
 
-    // ✅ Ask Netlify Blobs to give us text directly
-    const text = await store.get(key, { type: "text" });
-    if (text == null) return bad(`Not found: ${key}`, 404);
+    // Excel workbooks are binary: send the bytes as-is (base64 on the wire)
+    if (type === "xlsx" || type === "xls") return bytesResponse(got.data, INVENTORY_FILE_TYPES[type]);
 
     return {
       statusCode: 200,
       headers: {
-        "content-type": /\.csv$/i.test(key)
-          ? "text/csv; charset=utf-8"
-          : "text/plain; charset=utf-8",
+        "content-type": type === "csv" ? INVENTORY_FILE_TYPES.csv : "text/plain; charset=utf-8",
         "access-control-allow-origin": "*",
       },
-      body: text,            // plain CSV text
+      body: Buffer.from(got.data).toString("utf8"), // plain CSV text
       isBase64Encoded: false // important: not base64
     };
   } catch (e) {
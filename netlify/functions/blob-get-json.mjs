@@ -1,16 +1,21 @@
 // netlify/functions/blob-get-json.mjs
-import { getInventoryStore, json, bad } from "./_blob-common.mjs";
+import { getInventoryStore, json, bad, etagFor, readJSONVersioned } from "./_blob-common.mjs";
+import { accessKeyFor, authorize, nsOfKey } from "./_auth.mjs";
 
 export async function handler(event) {
   if (event.httpMethod !== "GET") return bad("Use GET", 405);
   const key = event.queryStringParameters?.key;
   if (!key) return bad("Missing key", 400);
+  if (key === accessKeyFor(nsOfKey(key))) return bad("PINs are not readable", 403);
+  const { denied } = authorize(event, nsOfKey(key), "counter");
+  if (denied) return denied;
 
   try {
     const store = getInventoryStore();
-    const text = await store.get(key, { type: "text" });
-    if (text == null) return json({ data: null }); // no scans yet
-    return json(JSON.parse(text));
+    const { exists, data, version } = await readJSONVersioned(store, key);
+    // no scans yet — version 0 so a client can create it with If-Match: "v0"
+    if (!exists) return json({ data: null }, 200, { etag: etagFor(0), "x-blob-version": "0" });
+    return json(data, 200, { etag: etagFor(version), "x-blob-version": String(version) });
   } catch (e) {
     return bad(`Get JSON error: ${e?.message || e}`, 500);
   }
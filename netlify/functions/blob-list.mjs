@@ -1,8 +1,11 @@
-import { getInventoryStore, json, bad } from "./_blob-common.mjs";
+import { getInventoryStore, json, bad, fileTypeOf } from "./_blob-common.mjs";
+import { authorize } from "./_auth.mjs";
 
 export async function handler(event) {
   if (event.httpMethod !== "GET") return bad("Use GET", 405);
   const ns = event.queryStringParameters?.ns || "default";
+  const { denied } = authorize(event, ns, "counter");
+  if (denied) return denied;
 
   try {
     const store = getInventoryStore();
@@ -15,14 +18,18 @@ export async function handler(event) {
       files = out?.objects || out?.blobs || [];
     }
 
-    // Normalize and keep only CSVs
+    // Normalize and keep only inventory files (CSV and Excel), tagged with their type
     const normalized = files
-      .map((f) => ({
-        key: f.key || f.name || f.id,
-        size: f.size ?? f.bytes ?? null,
-        uploadedAt: f.uploadedAt || f.uploaded_at || null,
-      }))
-      .filter((f) => f.key && /\.csv$/i.test(f.key));
+      .map((f) => {
+        const key = f.key || f.name || f.id;
+        return {
+          key,
+          type: fileTypeOf(key),
+          size: f.size ?? f.bytes ?? null,
+          uploadedAt: f.uploadedAt || f.uploaded_at || null,
+        };
+      })
+      .filter((f) => f.key && f.type);
 
     // Sort newest first (fallback to key)
     normalized.sort((a, b) => {
@@ -1,17 +1,41 @@
 // netlify/functions/blob-put-json.mjs
-import { getInventoryStore, json, bad } from "./_blob-common.mjs";
+// Optional preconditions: If-Match: "v<n>" (or ?ifMatch=) and If-None-Match: *
+// A failed precondition returns 409 with the current server document.
+import { getInventoryStore, json, bad, etagFor, header, writeJSONVersioned } from "./_blob-common.mjs";
+import { accessKeyFor, authorize, nsOfKey } from "./_auth.mjs";
 
 export async function handler(event) {
   if (event.httpMethod !== "POST") return bad("Use POST", 405);
   const key = event.queryStringParameters?.key;
   if (!key) return bad("Missing key", 400);
+  // admin-only; PINs go through `access`, and scan snapshots are derived from
+  // the event log — counts are only ever appended through scan-events
+  const ns = nsOfKey(key);
+  if (key === accessKeyFor(ns)) return bad("Set PINs with the access function", 403);
+  if (/(^|\/)scans\//.test(key)) return bad("Scan snapshots are read-only; append events with scan-events", 403);
+  // sessions (and their frozen results) only change through `session`, which keeps their history
+  if (/(^|\/)sessions\//.test(key)) return bad("Count sessions change through the session function", 403);
+  const { denied } = authorize(event, ns, "admin");
+  if (denied) return denied;
+
+  const ifMatch = header(event, "if-match") ?? event.queryStringParameters?.ifMatch;
+  const ifNoneMatch = header(event, "if-none-match");
 
   try {
     const store = getInventoryStore();
     const data = event.body ? JSON.parse(event.body) : {};
-    const buf = Buffer.from(JSON.stringify(data), "utf8");
-    await store.set(key, buf, { contentType: "application/json" });
-    return json({ ok: true, key });
+    const out = await writeJSONVersioned(store, key, data, { ifMatch, ifNoneMatch });
+    if (out.conflict) {
+      return json(
+        { error: "Version conflict", key, version: out.version, current: out.current },
+        409,
+        { etag: etagFor(out.version), "x-blob-version": String(out.version) }
+      );
+    }
+    return json({ ok: true, key, version: out.version }, 200, {
+      etag: etagFor(out.version),
+      "x-blob-version": String(out.version),
+    });
   } catch (e) {
     return bad(`Put JSON error: ${e?.message || e}`, 500);
   }
@@ -0,0 +1,182 @@
+// netlify/functions/blob-upload-chunked.mjs
+// Uploads too big for one function request, sent in numbered parts. Parts
+// already received survive an interruption, so the app can resume where it
+// stopped. They are never joined on the server: the stored file points at
+// them and blob-download hands them out one by one.
+//   POST   ?ns&name&by&blind&action=init   body { size, chunkSize, sha256 } → { uploadId, parts }
+//   GET    ?ns&upload=<id>                                         → { manifest, received: [n, …] }
+//   PUT    ?ns&upload=<id>&part=<n>  raw bytes, x-part-sha256       → { part, size }
+//   POST   ?ns&upload=<id>&action=complete                          → { key, session }
+//   DELETE ?ns&upload=<id>                                          → discard an unfinished upload
+// Parts live in "<ns>/uploads/<id>/part-<n>", the manifest in "<ns>/uploads/<id>/manifest.json".
+// Each part is checked against its x-part-sha256 as it arrives. Completion
+// checks every part is there, then the SHA-256 of the whole file, reading one
+// part at a time, and records each part's hash for downloads (and the file's
+// key, before the file is saved, so a retried completion saves the same file).
+import { createHash, randomUUID } from "node:crypto";
+import { getInventoryStore, json, bad, header, fileTypeOf, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { sanitizeName, saveUpload, uploadDirFor, uploadFileKey, uploadManifestKey, uploadPartKey } from "./_uploads.mjs";
+import { authorize } from "./_auth.mjs";
+
+// Raw bytes per part; base64 on the wire keeps it under the 6 MB request
+// (and response) limit
+const MAX_CHUNK = 4 * 1024 * 1024;
+// The app downloads and parses the whole file in the browser
+const MAX_SIZE = 100 * 1024 * 1024;
+
+const sha256 = (buf) => createHash("sha256").update(buf).digest("hex");
+
+async function receivedParts(store, ns, id) {
+  const out = await store.list({ prefix: `${uploadDirFor(ns, id)}/part-` });
+  return (out?.blobs || out?.objects || [])
+    .map((b) => Number(String(b.key || "").split("-").pop()))
+    .filter((n) => Number.isInteger(n) && n > 0)
+    .sort((a, b) => a - b);
+}
+
+async function dropParts(store, ns, id, parts) {
+  for (let n = 1; n <= parts; n++) await store.delete(uploadPartKey(ns, id, n));
+}
+
+function bodyBytes(event) {
+  if (!event.body) return Buffer.alloc(0);
+  return Buffer.from(event.body, event.isBase64Encoded ? "base64" : "utf8");
+}
+
+async function init(store, ns, q, event) {
+  const name = sanitizeName(q.name || "file.csv");
+  if (!fileTypeOf(name)) return bad("Only .csv, .xlsx and .xls files can be uploaded", 400);
+
+  let body;
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch {
+    return bad("Body is not JSON", 400);
+  }
+  const size = Number(body.size);
+  const chunkSize = Number(body.chunkSize);
+  const hash = String(body.sha256 || "").toLowerCase();
+  if (!Number.isInteger(size) || size <= 0) return bad("Missing size", 400);
+  if (size > MAX_SIZE) return bad(`File is larger than ${MAX_SIZE / 1024 / 1024} MB`, 413);
+  if (!Number.isInteger(chunkSize) || chunkSize <= 0 || chunkSize > MAX_CHUNK) {
+    return bad(`chunkSize must be 1…${MAX_CHUNK} bytes`, 400);
+  }
+  if (!/^[0-9a-f]{64}$/.test(hash)) return bad("Missing sha256", 400);
+
+  const uploadId = randomUUID();
+  const manifest = {
+    uploadId,
+    ns,
+    name,
+    by: String(q.by || "").trim().slice(0, 80),
+    blind: q.blind === "1",
+    size,
+    chunkSize,
+    parts: Math.ceil(size / chunkSize),
+    sha256: hash,
+    createdAt: new Date().toISOString(),
+    key: null,
+  };
+  await writeJSONVersioned(store, uploadManifestKey(ns, uploadId), manifest);
+  return json({ ok: true, uploadId, parts: manifest.parts });
+}
+
+async function putPart(store, manifest, q, event) {
+  const n = Number(q.part);
+  if (!Number.isInteger(n) || n < 1 || n > manifest.parts) return bad(`part must be 1…${manifest.parts}`, 400);
+
+  const bytes = bodyBytes(event);
+  const want = n < manifest.parts ? manifest.chunkSize : manifest.size - (manifest.parts - 1) * manifest.chunkSize;
+  if (bytes.length !== want) return bad(`Part ${n} has ${bytes.length} bytes, expected ${want}`, 400);
+  const sent = String(header(event, "x-part-sha256") || "").toLowerCase();
+  if (!sent) return bad("Missing x-part-sha256", 400);
+  const hash = sha256(bytes);
+  if (sent !== hash) return bad(`Part ${n} checksum mismatch`, 422);
+
+  await store.set(uploadPartKey(manifest.ns, manifest.uploadId, n), bytes);
+  return json({ ok: true, part: n, size: bytes.length });
+}
+
+async function complete(store, manifest, manifestKey) {
+  const { ns, uploadId: id } = manifest;
+  // a retried completion gets the file the first one saved
+  if (manifest.completedAt) return json({ ok: true, key: manifest.key, session: "open" });
+
+  let checked = manifest;
+  if (!manifest.key) {
+    const received = new Set(await receivedParts(store, ns, id));
+    const missing = [];
+    for (let n = 1; n <= manifest.parts; n++) if (!received.has(n)) missing.push(n);
+    if (missing.length) return json({ error: "Upload is missing parts", missing }, 409);
+
+    const whole = createHash("sha256");
+    const partSha256 = [];
+    let size = 0;
+    for (let n = 1; n <= manifest.parts; n++) {
+      const buf = Buffer.from(await store.get(uploadPartKey(ns, id, n), { type: "arrayBuffer" }));
+      whole.update(buf);
+      partSha256.push(sha256(buf));
+      size += buf.length;
+    }
+    if (size !== manifest.size || whole.digest("hex") !== manifest.sha256) {
+      // a part went bad in storage: start over
+      await dropParts(store, ns, id, manifest.parts);
+      return bad("Checksum mismatch, upload the file again", 422);
+    }
+    // the part hashes are in place before the file that points at them, and
+    // its key before it is saved: a completion that stops below is retried
+    // into the same key instead of a second copy of the file
+    checked = { ...manifest, partSha256, key: uploadFileKey(ns, manifest.name) };
+    await writeJSONVersioned(store, manifestKey, checked);
+  }
+
+  const { session } = await saveUpload(store, {
+    ns,
+    name: manifest.name,
+    key: checked.key,
+    upload: id,
+    by: manifest.by,
+    blind: manifest.blind,
+  });
+  await writeJSONVersioned(store, manifestKey, { ...checked, completedAt: new Date().toISOString() });
+  // a retry finds the session the first attempt started
+  return json({ ok: true, key: checked.key, session: session || "open" });
+}
+
+export async function handler(event) {
+  const q = event.queryStringParameters || {};
+  const ns = q.ns || "default";
+  const { denied } = authorize(event, ns, "admin");
+  if (denied) return denied;
+
+  try {
+    const store = getInventoryStore();
+
+    if (event.httpMethod === "POST" && q.action === "init") return await init(store, ns, q, event);
+
+    const id = String(q.upload || "");
+    if (!/^[0-9a-f-]{36}$/i.test(id)) return bad("Missing upload", 400);
+    const manifestKey = uploadManifestKey(ns, id);
+    const { data: manifest } = await readJSONVersioned(store, manifestKey, { consistency: "strong" });
+    if (!manifest) return bad(`No upload ${id}`, 404);
+
+    if (event.httpMethod === "GET") {
+      const received = manifest.completedAt ? [] : await receivedParts(store, ns, id);
+      return json({ ok: true, manifest, received });
+    }
+    if (event.httpMethod === "PUT") {
+      if (manifest.key) return bad(manifest.completedAt ? "Upload already completed" : "Upload is being completed", 409);
+      return await putPart(store, manifest, q, event);
+    }
+    if (event.httpMethod === "POST" && q.action === "complete") return await complete(store, manifest, manifestKey);
+    if (event.httpMethod === "DELETE") {
+      if (manifest.key) return bad("Upload already completed: its parts are the stored file", 409);
+      await dropParts(store, ns, id, manifest.parts);
+      await store.delete(manifestKey);
+      return json({ ok: true });
+    }
+    return bad("Use POST ?action=init|complete, GET, PUT or DELETE", 405);
+  } catch (e) {
+    return bad(`Chunked upload error: ${e?.message || e}`, 500);
+  }
+}
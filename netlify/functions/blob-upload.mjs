@@ -1,15 +1,19 @@
 // netlify/functions/blob-upload.mjs
-import { getInventoryStore, json, bad } from "./_blob-common.mjs";
-
-function sanitizeName(s = "file.csv") {
-  return String(s).replace(/[^a-zA-Z0-9._-]/g, "_");
-}
+// Single-request upload; files too big for one function call go through blob-upload-chunked.
+import { getInventoryStore, json, bad, fileTypeOf } from "./_blob-common.mjs";
+import { sanitizeName, saveUpload } from "./_uploads.mjs";
+import { authorize } from "./_auth.mjs";
 
 export async function handler(event) {
   if (event.httpMethod !== "POST") return bad("Use POST", 405);
 
   const ns = event.queryStringParameters?.ns || "default";
+  const { denied } = authorize(event, ns, "admin");
+  if (denied) return denied;
   const name = sanitizeName(event.queryStringParameters?.name || "file.csv");
+  const by = String(event.queryStringParameters?.by || "").trim().slice(0, 80);
+  const blind = event.queryStringParameters?.blind === "1";
+  if (!fileTypeOf(name)) return bad("Only .csv, .xlsx and .xls files can be uploaded", 400);
 
   try {
     if (!event.body) return bad("Empty body", 400);
@@ -25,11 +29,10 @@ export async function handler(event) {
       bytes = Buffer.from(event.body, "utf8");
     }
 
-    const key = `${ns}/${Date.now()}_${name}`;
     const store = getInventoryStore();
-    await store.set(key, bytes, { contentType: "text/csv" });
+    const { key, session } = await saveUpload(store, { ns, name, bytes, by, blind });
 
-    return json({ ok: true, key });
+    return json({ ok: true, key, session });
   } catch (e) {
     return bad(`Upload error: ${e?.message || e}`, 500);
   }
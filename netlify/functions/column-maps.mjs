@@ -0,0 +1,75 @@
+// netlify/functions/column-maps.mjs
+// Saved column mappings of a namespace, keyed by a fingerprint of the CSV headers
+// so the next export from the same ERP maps itself.
+//   GET  ?ns=<namespace>                                  → { profiles: { <fingerprint>: profile } }
+//   POST ?ns=<namespace>  body { headers, mapping, by }   → { fingerprint, profile }
+//   POST ?ns=<namespace>  body { headers, remove: true }  → forget the mapping of these headers
+// Stored in "<ns>/settings/column-maps.json".
+import { getInventoryStore, json, bad, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { authorize } from "./_auth.mjs";
+import { headerFingerprint } from "../../src/lib/header-fingerprint.js";
+
+const FIELDS = ["barcode", "name", "onHand", "reserved", "cost", "sku", "location", "category"];
+const REQUIRED = ["barcode", "name", "onHand"];
+
+const mapsKeyFor = (ns) => `${ns}/settings/column-maps.json`;
+
+export async function handler(event) {
+  const ns = event.queryStringParameters?.ns;
+  if (!ns) return bad("Missing ns", 400);
+  const { denied } = authorize(event, ns, event.httpMethod === "GET" ? "counter" : "supervisor");
+  if (denied) return denied;
+
+  try {
+    const store = getInventoryStore();
+    const key = mapsKeyFor(ns);
+
+    if (event.httpMethod === "GET") {
+      const { data } = await readJSONVersioned(store, key);
+      return json({ ok: true, ns, profiles: data?.profiles || {} });
+    }
+    if (event.httpMethod !== "POST") return bad("Use GET or POST", 405);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return bad("Body is not JSON", 400);
+    }
+    const headers = Array.isArray(body.headers) ? body.headers.map((h) => String(h ?? "")) : [];
+    if (!headers.length) return bad("Missing headers", 400);
+    const fingerprint = headerFingerprint(headers);
+
+    let profile = null;
+    if (!body.remove) {
+      const mapping = {};
+      for (const f of FIELDS) {
+        const h = body.mapping?.[f];
+        if (h == null || h === "") continue;
+        if (!headers.includes(h)) return bad(`Column "${h}" for ${f} is not one of the headers`, 400);
+        mapping[f] = h;
+      }
+      const missing = REQUIRED.filter((f) => !mapping[f]);
+      if (missing.length) return bad(`Missing required columns: ${missing.join(", ")}`, 400);
+      profile = {
+        headers,
+        mapping,
+        savedBy: String(body.by || "").trim().slice(0, 80),
+        savedAt: new Date().toISOString(),
+      };
+    }
+
+    // Read-then-write with a version check; retry if someone saved another profile meanwhile
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const { data, version } = await readJSONVersioned(store, key);
+      const profiles = { ...(data?.profiles || {}) };
+      if (profile) profiles[fingerprint] = profile;
+      else delete profiles[fingerprint];
+      const out = await writeJSONVersioned(store, key, { profiles }, { ifMatch: String(version) });
+      if (!out.conflict) return json({ ok: true, ns, fingerprint, profile });
+    }
+    return bad("Column mappings changed meanwhile, try again", 409);
+  } catch (e) {
+    return bad(`Column maps error: ${e?.message || e}`, 500);
+  }
+}
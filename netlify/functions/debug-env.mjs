@@ -1,4 +1,9 @@
-export async function handler() {
+import { authorize } from "./_auth.mjs";
+
+// Which credentials the functions see (admin only): GET ?ns=<namespace>
+export async function handler(event) {
+  const { denied } = authorize(event, event.queryStringParameters?.ns, "admin");
+  if (denied) return denied;
   return {
     statusCode: 200,
     headers: { "content-type": "application/json" },
@@ -9,6 +14,8 @@ export async function handler() {
       SITE_ID: !!process.env.SITE_ID,
       TOKEN: !!process.env.TOKEN,
       NODE_ENV: process.env.NODE_ENV,
+      AUTH_SECRET: !!process.env.AUTH_SECRET,
+      ADMIN_PIN: !!process.env.ADMIN_PIN,
     }),
   };
 }
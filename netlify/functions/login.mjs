@@ -0,0 +1,92 @@
+// netlify/functions/login.mjs
+// Sign in to a namespace with a PIN.
+//   POST body { ns, pin } → { token, role, site, ns, expiresAt }
+// The PIN is checked against the namespace's PINs (highest role first) and
+// ADMIN_PIN. Wrong PINs are rate-limited per client: each failure is its own
+// blob under "<ns>/settings/login-failures/<client>/", so concurrent guesses
+// all count, and after MAX_FAILURES within LOCKOUT_MS that client is refused
+// until they age out, whatever PIN it sends (ADMIN_PIN too). Other devices are
+// never locked out. Namespaces missing from the registry can't be signed in
+// to, nor archived ones except with ADMIN_PIN, so a site admin can still
+// manage them.
+import { createHash } from "node:crypto";
+import { getInventoryStore, json, bad, header, readJSONVersioned } from "./_blob-common.mjs";
+import { ROLES, accessKeyFor, checkPin, isAdminPin, signToken } from "./_auth.mjs";
+import { findNamespace } from "./_namespaces.mjs";
+
+const MAX_FAILURES = 10;
+const LOCKOUT_MS = 5 * 60 * 1000;
+
+// The caller's IP as Netlify reports it, hashed so it can be part of a key
+function clientOf(event) {
+  const ip =
+    header(event, "x-nf-client-connection-ip") ||
+    String(header(event, "x-forwarded-for") || "").split(",")[0].trim() ||
+    "unknown";
+  return createHash("sha256").update(ip).digest("hex").slice(0, 24);
+}
+
+const failuresPrefix = (ns, client) => `${ns}/settings/login-failures/${client}/`;
+
+// Recent failures of this client; older ones are deleted on the way
+async function recentFailures(store, prefix) {
+  const out = await store.list({ prefix });
+  const since = Date.now() - LOCKOUT_MS;
+  let recent = 0;
+  for (const b of out?.blobs || []) {
+    const at = Number(String(b.key).slice(prefix.length).split("_")[0]);
+    if (at >= since) recent++;
+    else await store.delete(b.key);
+  }
+  return recent;
+}
+
+export async function handler(event) {
+  if (event.httpMethod !== "POST") return bad("Use POST", 405);
+
+  let body;
+  try {
+    body = event.body ? JSON.parse(event.body) : {};
+  } catch {
+    return bad("Body is not JSON", 400);
+  }
+  const ns = String(body.ns || "").trim();
+  const pin = String(body.pin || "");
+  if (!ns) return bad("Missing ns", 400);
+  if (!pin) return bad("Missing pin", 400);
+
+  try {
+    const store = getInventoryStore();
+    const entry = await findNamespace(store, ns);
+    if (!entry) return bad(`No namespace "${ns}"`, 404);
+
+    // before anything looks at the PIN: no PIN gets a locked-out client through
+    const prefix = failuresPrefix(ns, clientOf(event));
+    if ((await recentFailures(store, prefix)) >= MAX_FAILURES) {
+      return bad("Too many wrong PINs, try again in a few minutes", 429);
+    }
+
+    const site = isAdminPin(pin);
+    if (entry.archived && !site) return bad(`Namespace "${ns}" is archived`, 403);
+
+    const { data } = await readJSONVersioned(store, accessKeyFor(ns));
+
+    let role = site ? "admin" : null;
+    for (const r of [...ROLES].reverse()) {
+      if (role) break;
+      if (data?.pins?.[r] && checkPin(pin, data.pins[r])) role = r;
+    }
+
+    if (!role) {
+      // a new key per failure: nothing to lose in a race
+      const rand = Math.random().toString(36).slice(2, 8);
+      await store.set(`${prefix}${String(Date.now()).padStart(15, "0")}_${rand}`, "");
+      return bad("Wrong PIN", 401);
+    }
+
+    const { token, expiresAt } = signToken({ ns, role, site });
+    return json({ ok: true, ns, role, site, token, expiresAt });
+  } catch (e) {
+    return bad(`Login error: ${e?.message || e}`, 500);
+  }
+}
@@ -0,0 +1,113 @@
+// netlify/functions/namespaces.mjs
+// The namespace registry (see _namespaces.mjs).
+//   GET                                                   → { namespaces } (no sign-in needed: the app lists them before one)
+//   POST body { action: "create", id, name, timezone }    → site admin
+//   POST body { action: "update", id, name?, timezone?, defaults? } → admin of that namespace
+//   POST body { action: "archive" | "restore", id }       → site admin
+//   DELETE ?id=<id>&confirm=<id>                          → site admin; archived namespaces only,
+//                                                           removes every file under "<id>/"
+import { getInventoryStore, json, bad, writeJSONVersioned } from "./_blob-common.mjs";
+import { authorize, authorizeSite } from "./_auth.mjs";
+import { REGISTRY_KEY, isNamespaceId, isTimezone, newNamespace, readRegistry, settingsPatch } from "./_namespaces.mjs";
+
+// Applies `change(namespaces)` → { namespaces, result } or { error, status },
+// retrying if someone else changed the registry meanwhile
+async function updateRegistry(store, change) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data, version } = await readRegistry(store);
+    const out = change(data.namespaces.map((n) => ({ ...n })));
+    if (out.error) return bad(out.error, out.status || 400);
+    const res = await writeJSONVersioned(store, REGISTRY_KEY, { namespaces: out.namespaces }, { ifMatch: String(version) });
+    if (!res.conflict) return json({ ok: true, namespace: out.result, namespaces: out.namespaces });
+  }
+  return bad("Namespaces changed meanwhile, try again", 409);
+}
+
+async function deleteFiles(store, id) {
+  const out = await store.list({ prefix: `${id}/` });
+  const blobs = out?.blobs || out?.objects || [];
+  for (const b of blobs) await store.delete(b.key);
+  return blobs.length;
+}
+
+export async function handler(event) {
+  try {
+    const store = getInventoryStore();
+
+    if (event.httpMethod === "GET") {
+      const { data } = await readRegistry(store);
+      return json({ ok: true, namespaces: data.namespaces });
+    }
+
+    if (event.httpMethod === "DELETE") {
+      const { id, confirm } = event.queryStringParameters || {};
+      const { denied } = authorizeSite(event);
+      if (denied) return denied;
+      if (!id || confirm !== id) return bad("Pass confirm=<id> to delete a namespace", 400);
+      const { data } = await readRegistry(store);
+      const entry = data.namespaces.find((n) => n.id === id);
+      if (!entry) return bad(`No namespace "${id}"`, 404);
+      if (!entry.archived) return bad("Archive the namespace before deleting it", 409);
+      const deletedFiles = await deleteFiles(store, id);
+      return await updateRegistry(store, (list) => ({
+        namespaces: list.filter((n) => n.id !== id),
+        result: { ...entry, deletedFiles },
+      }));
+    }
+
+    if (event.httpMethod !== "POST") return bad("Use GET, POST or DELETE", 405);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return bad("Body is not JSON", 400);
+    }
+    const id = String(body.id || "").trim();
+    const by = String(body.by || "").trim().slice(0, 80);
+
+    if (body.action === "create") {
+      const { denied } = authorizeSite(event);
+      if (denied) return denied;
+      if (!isNamespaceId(id)) return bad("id must be 1–40 letters, digits, - or _", 400);
+      if (body.timezone && !isTimezone(body.timezone)) return bad(`Unknown timezone "${body.timezone}"`, 400);
+      return await updateRegistry(store, (list) => {
+        if (list.some((n) => n.id.toLowerCase() === id.toLowerCase())) return { error: `Namespace "${id}" already exists`, status: 409 };
+        const entry = newNamespace({ id, name: body.name, timezone: body.timezone }, by);
+        return { namespaces: [...list, entry], result: entry };
+      });
+    }
+
+    if (body.action === "update") {
+      const { denied } = authorize(event, id, "admin");
+      if (denied) return denied;
+      const { patch, error } = settingsPatch(body);
+      if (error) return bad(error, 400);
+      return await updateRegistry(store, (list) => {
+        const i = list.findIndex((n) => n.id === id);
+        if (i < 0) return { error: `No namespace "${id}"`, status: 404 };
+        list[i] = { ...list[i], ...patch, updatedBy: by, updatedAt: new Date().toISOString() };
+        return { namespaces: list, result: list[i] };
+      });
+    }
+
+    if (body.action === "archive" || body.action === "restore") {
+      const { denied } = authorizeSite(event);
+      if (denied) return denied;
+      const archived = body.action === "archive";
+      return await updateRegistry(store, (list) => {
+        const i = list.findIndex((n) => n.id === id);
+        if (i < 0) return { error: `No namespace "${id}"`, status: 404 };
+        if (archived && list.filter((n) => !n.archived).length === 1 && !list[i].archived) {
+          return { error: "Cannot archive the last active namespace", status: 409 };
+        }
+        list[i] = { ...list[i], archived, [archived ? "archivedAt" : "restoredAt"]: new Date().toISOString(), updatedBy: by };
+        return { namespaces: list, result: list[i] };
+      });
+    }
+
+    return bad("action must be create, update, archive or restore", 400);
+  } catch (e) {
+    return bad(`Namespaces error: ${e?.message || e}`, 500);
+  }
+}
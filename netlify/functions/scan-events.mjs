@@ -0,0 +1,78 @@
+// netlify/functions/scan-events.mjs
+// Append scan events for one file: POST ?file=<csv key>  body { events: [...] }
+import { getInventoryStore, json, bad } from "./_blob-common.mjs";
+import { normalizeEvents, appendScanEvents, readScanEvents } from "./_scan-log.mjs";
+import { sessionKeyFor, rejectIfFinalized } from "./_sessions.mjs";
+import { authorize, nsOfKey, roleAtLeast } from "./_auth.mjs";
+
+const sameEntry = (a, b) => a.barcode === b.barcode && (a.location || "") === (b.location || "");
+
+/**
+ * Why a counter may not append these events, or null. Counters add counts and
+ * tally scans and undo their own; resets, deletes and edits need a supervisor,
+ * decided by the event type — `correction` is only trusted to mark an undo,
+ * which must reverse a plain event of the same device and counter.
+ */
+async function counterDenial(store, file, events) {
+  const undos = [];
+  for (const e of events) {
+    if (e.correction === "undo" && e.type !== "reset") undos.push(e);
+    else if (e.type === "reset") return "Resetting the count needs the supervisor role";
+    else if (e.type === "delete") return "Deleting entries needs the supervisor role";
+    else if (e.correction) return "Corrections need the supervisor role";
+  }
+  if (!undos.length) return null;
+
+  const { events: logged } = await readScanEvents(store, file);
+  const byId = new Map([...logged, ...events].map((e) => [e.id, e]));
+  for (const u of undos) {
+    const t = u.undoes ? byId.get(u.undoes) : null;
+    // compacted away: too old to tell whose it was
+    if (u.undoes && !t) return "That scan is too old for a counter to undo; ask a supervisor to edit the entry";
+    const own =
+      t &&
+      t !== u &&
+      (t.type === "count" || t.type === "add") &&
+      !t.correction &&
+      t.clientId === u.clientId &&
+      t.counter === u.counter &&
+      sameEntry(t, u) &&
+      (u.type !== "add" || u.qty === -t.qty);
+    if (!own) return "Counters can only undo their own scans";
+  }
+  return null;
+}
+
+export async function handler(event) {
+  if (event.httpMethod !== "POST") return bad("Use POST", 405);
+  const file = event.queryStringParameters?.file;
+  if (!file) return bad("Missing file", 400);
+  const { user, denied } = authorize(event, nsOfKey(file), "counter");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = event.body ? JSON.parse(event.body) : null;
+  } catch {
+    return bad("Body is not JSON", 400);
+  }
+
+  const { events, error } = normalizeEvents(body);
+  if (error) return bad(error, 400);
+
+  try {
+    const store = getInventoryStore();
+    if (!roleAtLeast(user.role, "supervisor")) {
+      const why = await counterDenial(store, file, events);
+      if (why) return bad(why, 403);
+    }
+
+    const locked = await rejectIfFinalized(store, sessionKeyFor(file));
+    if (locked) return locked;
+
+    const key = await appendScanEvents(store, file, events);
+    return json({ ok: true, file, key, accepted: events.length });
+  } catch (e) {
+    return bad(`Append events error: ${e?.message || e}`, 500);
+  }
+}
@@ -0,0 +1,52 @@
+// netlify/functions/scan-state.mjs
+// Current per-barcode state of one file: GET ?file=<csv key>[&base=<snapshot key>]
+// = the { diffs } snapshot (defaults to the canonical scans key) + the event log,
+// or the frozen snapshot once the count session is finalized. A long log is
+// compacted into the canonical snapshot after it has been read.
+import { getInventoryStore, json, bad } from "./_blob-common.mjs";
+import { scansKeyFor, readScanState, readScanEvents, correctionsOf, compactScanLog, COMPACT_BATCHES } from "./_scan-log.mjs";
+import { readSession, finalKeyFor } from "./_sessions.mjs";
+import { authorize, nsOfKey } from "./_auth.mjs";
+
+export async function handler(event) {
+  if (event.httpMethod !== "GET") return bad("Use GET", 405);
+  const file = event.queryStringParameters?.file;
+  if (!file) return bad("Missing file", 400);
+  const baseKey = event.queryStringParameters?.base || scansKeyFor(file);
+  const { denied } = authorize(event, nsOfKey(file), "counter");
+  if (denied) return denied;
+  if (nsOfKey(baseKey) !== nsOfKey(file)) return bad("base must be in the file's namespace", 403);
+
+  try {
+    const store = getInventoryStore();
+
+    const { data: session } = await readSession(store, file);
+    if (session.state === "finalized") {
+      const frozen = await store.get(finalKeyFor(file), { type: "json" }).catch(() => null);
+      if (frozen && Array.isArray(frozen.diffs)) {
+        // snapshots frozen before compaction existed leave the corrections in the log
+        const corrections = Array.isArray(frozen.corrections)
+          ? frozen.corrections
+          : correctionsOf((await readScanEvents(store, file)).events);
+        return json({
+          ok: true,
+          file,
+          base: finalKeyFor(file),
+          diffs: frozen.diffs,
+          finalized: true,
+          takenAt: frozen.takenAt,
+          corrections,
+        });
+      }
+    }
+
+    const state = await readScanState(store, file, baseKey);
+    if (state.batches > COMPACT_BATCHES && baseKey === scansKeyFor(file)) {
+      // the state is already read: a failed compaction only waits for the next read
+      await compactScanLog(store, file).catch((e) => console.warn("Compact scan log failed:", e));
+    }
+    return json({ ok: true, file, ...state });
+  } catch (e) {
+    return bad(`Scan state error: ${e?.message || e}`, 500);
+  }
+}
@@ -0,0 +1,155 @@
+// netlify/functions/scans-migrate.mjs
+// One-time consolidation of legacy scan locations into the canonical key.
+//   POST ?ns=<ns>[&file=<csv key>][&dryRun=1][&mode=archive|delete]
+// For each CSV, every variant ("<prefix>/scans/…", "<ns>/scans/…", "scans/…",
+// "scans/<ns>/…") is merged — newest entry per barcode wins — into
+// scansKeyFor(file). Strays are copied to "<ns>/archive/scans/<run>/…" and
+// deleted (mode=archive, default) or just deleted (mode=delete).
+import { getInventoryStore, json, bad, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { scansKeyFor, entryKey, snapshotCoverage, NOTHING_FOLDED } from "./_scan-log.mjs";
+import { readSession } from "./_sessions.mjs";
+import { authorize, nsOfKey } from "./_auth.mjs";
+
+const baseOf = (key) => (String(key || "").split("/").pop() || "file").replace(/\.[^.]+$/, "");
+
+async function listKeys(store, prefix) {
+  const out = await store.list({ prefix });
+  return (out?.blobs || []).map((b) => b.key);
+}
+
+// Newest ts per barcode (and location); any disagreement on `actual` is reported
+function mergeVariants(sources) {
+  const best = new Map();
+  const seen = new Map(); // entryKey -> [{ key, actual, ts }]
+
+  for (const { key, diffs } of sources) {
+    for (const d of diffs) {
+      if (!d?.barcode) continue;
+      const k = entryKey(d);
+      const list = seen.get(k) || [];
+      list.push({ key, actual: d.actual, ts: d.ts || null });
+      seen.set(k, list);
+      const cur = best.get(k);
+      if (!cur || String(d.ts || "") > String(cur.entry.ts || "")) best.set(k, { key, entry: d });
+    }
+  }
+
+  const conflicts = [];
+  for (const [k, list] of seen) {
+    if (new Set(list.map((x) => x.actual)).size < 2) continue;
+    const kept = best.get(k);
+    conflicts.push({
+      barcode: kept.entry.barcode,
+      ...(kept.entry.location ? { location: kept.entry.location } : {}),
+      kept: { key: kept.key, actual: kept.entry.actual, ts: kept.entry.ts || null },
+      dropped: list.filter((x) => !(x.key === kept.key && x.ts === (kept.entry.ts || null))),
+    });
+  }
+
+  const diffs = Array.from(best.values())
+    .map((x) => x.entry)
+    .sort((a, b) => String(b.ts || "").localeCompare(String(a.ts || "")));
+  return { diffs, conflicts };
+}
+
+export async function migrateFile(store, ns, fileKey, allJsonKeys, { dryRun, mode, runId }) {
+  const base = baseOf(fileKey);
+  const canonical = scansKeyFor(fileKey);
+  const variants = Array.from(
+    new Set([
+      canonical,
+      `${ns}/scans/${base}.json`,
+      `scans/${base}.json`,
+      `scans/${ns}/${base}.json`,
+      ...allJsonKeys.filter((k) => k.endsWith(`/scans/${base}.json`)),
+    ])
+  );
+
+  const report = { file: fileKey, canonical, sources: [], merged: 0, conflicts: [], removed: [], archived: [] };
+
+  const { data: session } = await readSession(store, fileKey);
+  if (session.state === "finalized") {
+    report.skipped = "finalized";
+    return report;
+  }
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const sources = [];
+    let canonicalVersion = 0;
+    // the log events the canonical snapshot already holds; strays hold none
+    let foldedThrough = NOTHING_FOLDED;
+    let kept = {}; // what a compacted canonical snapshot holds besides its diffs
+    for (const key of variants) {
+      const { exists, data, version, updatedAt } = await readJSONVersioned(store, key).catch(() => ({ exists: false }));
+      if (key === canonical) {
+        canonicalVersion = version || 0;
+        if (exists) foldedThrough = snapshotCoverage(data, updatedAt) || NOTHING_FOLDED;
+        if (exists) kept = { corrections: data?.corrections, lastEventAt: data?.lastEventAt };
+      }
+      if (!exists) continue;
+      const diffs = Array.isArray(data?.diffs) ? data.diffs : Array.isArray(data?.data?.diffs) ? data.data.diffs : [];
+      sources.push({ key, diffs });
+    }
+
+    report.sources = sources.map((s) => ({ key: s.key, count: s.diffs.length }));
+    const strays = sources.filter((s) => s.key !== canonical);
+    if (!strays.length) return report; // already canonical-only
+
+    const { diffs, conflicts } = mergeVariants(sources);
+    report.merged = diffs.length;
+    report.conflicts = conflicts;
+    if (dryRun) return report;
+
+    const out = await writeJSONVersioned(store, canonical, { ...kept, diffs, foldedThrough }, { ifMatch: String(canonicalVersion) });
+    if (out.conflict) continue; // a counter saved meanwhile: merge again
+
+    for (const s of strays) {
+      if (mode === "archive") {
+        const archiveKey = `${ns}/archive/scans/${runId}/${s.key.replace(/\//g, "__")}`;
+        await store.set(archiveKey, Buffer.from(JSON.stringify({ diffs: s.diffs, from: s.key }), "utf8"));
+        report.archived.push(archiveKey);
+      }
+      await store.delete(s.key);
+      report.removed.push(s.key);
+    }
+    return report;
+  }
+
+  report.error = "Canonical key kept changing; run again";
+  return report;
+}
+
+export async function handler(event) {
+  if (event.httpMethod !== "POST") return bad("Use POST", 405);
+  const q = event.queryStringParameters || {};
+  const ns = q.ns;
+  if (!ns) return bad("Missing ns", 400);
+  const { denied } = authorize(event, ns, "admin");
+  if (denied) return denied;
+  // the sign-in covers `ns` only: another namespace's file is not ours to rewrite
+  if (q.file && nsOfKey(q.file) !== ns) return bad("file must be in the namespace", 403);
+  const dryRun = q.dryRun === "1" || q.dryRun === "true";
+  const mode = q.mode === "delete" ? "delete" : "archive";
+  const runId = new Date().toISOString().replace(/[:.]/g, "-");
+
+  try {
+    const store = getInventoryStore();
+    const nsKeys = await listKeys(store, `${ns}/`);
+    const rootScans = await listKeys(store, "scans/");
+    const jsonKeys = [...nsKeys, ...rootScans].filter((k) => /\.json$/i.test(k));
+
+    const files = q.file ? [q.file] : nsKeys.filter((k) => /\.csv$/i.test(k));
+    const results = [];
+    for (const fileKey of files) {
+      try {
+        results.push(await migrateFile(store, ns, fileKey, jsonKeys, { dryRun, mode, runId }));
+      } catch (e) {
+        results.push({ file: fileKey, error: e?.message || String(e) });
+      }
+    }
+
+    return json({ ok: true, ns, dryRun, mode, files: results });
+  } catch (e) {
+    return bad(`Migrate error: ${e?.message || e}`, 500);
+  }
+}
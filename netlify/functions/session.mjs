@@ -0,0 +1,168 @@
+// netlify/functions/session.mjs
+// Count session of one file.
+//   GET  ?file=<csv key>                                  → { session, version }
+//   POST ?file=<csv key>  body { action, by }             → review | reopen | finalize
+//   POST ?file=<csv key>  body { action: "finalize", zeroUncounted: [{ barcode, name, onHand, reserved }], more, by }
+//                                                         → also records the listed items nobody counted as 0
+//   POST ?file=<csv key>  body { action: "configure", blind, tolerance, sheet, by }
+// `sheet` is the workbook sheet every device counts; it is fixed once there are scans.
+// Finalizing freezes the current scan state into "<prefix>/sessions/<base>.final.json".
+// The session is marked finalized first (a lost race writes nothing else), so
+// scan-events already refuses new scans when the state is read and frozen.
+// The session gets its `totals` once the snapshot is written; until then a
+// finalize cut short (an error, a timeout) can be sent again to finish it.
+// Zero-outs come in slices of at most ZERO_PER_CALL items, each in its own
+// finalize: `more: true` means slices follow, and the answer has
+// `finishing: true` until the last one (without `more`) freezes the snapshot.
+// The first finalize can send an empty slice with `more`, so the app reads
+// what is uncounted once the session no longer takes scans.
+import { getInventoryStore, json, bad, readJSONVersioned, writeJSONVersioned } from "./_blob-common.mjs";
+import { readScanState, scansKeyFor, aggregateItems, normalizeEvents, appendScanEvents, compactScanLog, MAX_BATCH } from "./_scan-log.mjs";
+import { readSession, sessionKeyFor, finalKeyFor, transition, configure } from "./_sessions.mjs";
+import { authorize, nsOfKey } from "./_auth.mjs";
+import { barcodeKeys } from "../../src/lib/barcode.js";
+
+// about 10,000 items stay well under the 6 MB request body limit
+const ZERO_PER_CALL = 20 * MAX_BATCH;
+
+// every state read here decides what is written next
+const STRONG = { consistency: "strong" };
+const readStateStrong = (store, file) => readScanState(store, file, scansKeyFor(file), STRONG);
+
+// Wall-to-wall counts: of the file's `items`, those without an entry in the
+// fold (read after the session stopped taking scans) are recorded as actual 0.
+// Items zeroed by an earlier call are in the fold, so a slice sent again is
+// skipped.
+async function zeroUncounted(store, file, items, by) {
+  const { diffs } = await readStateStrong(store, file);
+  const counted = new Set();
+  for (const d of diffs) for (const k of barcodeKeys(d.barcode)) counted.add(k);
+  const ts = new Date().toISOString();
+  const events = [];
+  for (const it of items) {
+    const keys = barcodeKeys(it?.barcode);
+    if (!keys.length || keys.some((k) => counted.has(k))) continue;
+    keys.forEach((k) => counted.add(k)); // rows repeating a barcode get one entry
+    events.push({
+      type: "count",
+      barcode: String(it.barcode).trim(),
+      name: String(it.name ?? ""),
+      prevOnHand: it.onHand,
+      reserved: it.reserved,
+      actual: 0,
+      ts,
+      counter: by,
+      clientId: "session",
+      zeroed: true,
+    });
+  }
+  for (let i = 0; i < events.length; i += MAX_BATCH) {
+    const { events: batch } = normalizeEvents({ events: events.slice(i, i + MAX_BATCH) });
+    await appendScanEvents(store, file, batch);
+  }
+  return { zeroed: events.length };
+}
+
+function totalsOf(diffs) {
+  const items = aggregateItems(diffs);
+  return {
+    scanned: items.length,
+    withDifferences: items.filter((d) => d.delta !== 0).length,
+    zeroedUncounted: diffs.filter((d) => d.zeroed).length,
+  };
+}
+
+// Writes the frozen snapshot of a finalized session, unless an earlier
+// attempt already did; returns its totals
+async function freeze(store, file, by) {
+  const done = await readJSONVersioned(store, finalKeyFor(file), STRONG);
+  if (done.exists && Array.isArray(done.data?.diffs)) return { totals: totalsOf(done.data.diffs) };
+
+  const state = await readStateStrong(store, file);
+  const takenAt = new Date().toISOString();
+  await store.set(
+    finalKeyFor(file),
+    Buffer.from(JSON.stringify({ file, takenAt, takenBy: by, diffs: state.diffs, corrections: state.corrections }), "utf8"),
+    { contentType: "application/json" }
+  );
+  return { totals: totalsOf(state.diffs) };
+}
+
+export async function handler(event) {
+  const file = event.queryStringParameters?.file;
+  if (!file) return bad("Missing file", 400);
+  // anyone signed in may read the session; changing it is for supervisors
+  const { denied } = authorize(event, nsOfKey(file), event.httpMethod === "GET" ? "counter" : "supervisor");
+  if (denied) return denied;
+
+  try {
+    const store = getInventoryStore();
+
+    if (event.httpMethod === "GET") {
+      const { data, version } = await readSession(store, file);
+      return json({ ok: true, file, session: data, version });
+    }
+    if (event.httpMethod !== "POST") return bad("Use GET or POST", 405);
+
+    let body;
+    try {
+      body = event.body ? JSON.parse(event.body) : {};
+    } catch {
+      return bad("Body is not JSON", 400);
+    }
+    const action = String(body.action || "");
+    const by = String(body.by || "").trim().slice(0, 80);
+
+    const zeroItems = action === "finalize" && body.zeroUncounted != null ? body.zeroUncounted : null;
+    if (zeroItems && (!Array.isArray(zeroItems) || zeroItems.length > ZERO_PER_CALL)) {
+      return bad(`zeroUncounted must be a list of at most ${ZERO_PER_CALL} items`, 400);
+    }
+    const more = !!zeroItems && body.more === true;
+
+    const { data: current, version } = await readSession(store, file);
+
+    if (action === "finalize" && current.state === "review") {
+      // a count outside tolerance is not accepted until it is counted again
+      const { diffs } = await readStateStrong(store, file);
+      const pending = diffs.filter((d) => d.recount === "pending").length;
+      if (pending) return bad(`${pending} count(s) still await a recount`, 409);
+    }
+
+    if (action === "configure" && body.sheet !== undefined && (body.sheet || null) !== (current.sheet || null)) {
+      // scans of two sheets would mix in one log
+      const { diffs } = await readStateStrong(store, file);
+      if (diffs.length) return bad("The sheet cannot change once counting has started", 409);
+    }
+
+    // finalized without totals: an earlier finalize stopped before the snapshot was done
+    const finishing = action === "finalize" && current.state === "finalized" && !current.totals;
+    if (finishing && current.zeroUncounted && !zeroItems) {
+      return bad("This finalize records uncounted items as 0: send zeroUncounted again to finish it", 400);
+    }
+
+    let session = current;
+    let saved = version;
+    if (!finishing) {
+      const extra = action === "finalize" ? { snapshotKey: finalKeyFor(file), ...(zeroItems ? { zeroUncounted: true } : {}) } : {};
+      const next = action === "configure" ? configure(current, body, by) : transition(current, action, by, extra);
+      if (next.error) return bad(next.error, next.status);
+
+      const out = await writeJSONVersioned(store, sessionKeyFor(file), next.session, { ifMatch: String(version) });
+      if (out.conflict) return json({ error: "Session changed meanwhile", session: out.current, version: out.version }, 409);
+      if (action !== "finalize") return json({ ok: true, file, session: next.session, version: out.version });
+      session = next.session;
+      saved = out.version;
+    }
+
+    if (zeroItems?.length) await zeroUncounted(store, file, zeroItems, by);
+    if (more) return json({ ok: true, file, session, version: saved, finishing: true });
+    const frozen = await freeze(store, file, by);
+    // nothing is appended any more: fold what has settled into the canonical snapshot
+    await compactScanLog(store, file).catch((e) => console.warn("Compact scan log failed:", e));
+    const final = { ...session, totals: frozen.totals };
+    const out = await writeJSONVersioned(store, sessionKeyFor(file), final, { ifMatch: String(saved) });
+    return json({ ok: true, file, session: final, version: out.conflict ? saved : out.version });
+  } catch (e) {
+    return bad(`Session error: ${e?.message || e}`, 500);
+  }
+}
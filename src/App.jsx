@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useDeferredValue, useEffect, useMemo, useRef, useState } from "react";
 import Papa from "papaparse";
 import {
   Upload,
@@ -9,6 +9,12 @@ import {
   AlertTriangle,
   FileSpreadsheet,
   RefreshCw,
+  Camera,
+  Undo2,
+  Pencil,
+  Trash2,
+  ArrowUp,
+  ArrowDown,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
@@ -24,16 +30,21 @@ import {
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Separator } from "@/components/ui/separator";
+import CameraScanner from "@/components/CameraScanner";
+import { idbDel, idbGet, idbSet } from "@/lib/offline-store";
+import { barcodeKeys, classifyBarcode } from "@/lib/barcode";
+import { aggregateItems } from "@/lib/scan-items";
+import { headerFingerprint } from "@/lib/header-fingerprint";
+import { toNumber } from "@/lib/csv-import";
+import { buildIndexInBackground, parseCSVInBackground, parseWorkbookInBackground } from "@/lib/csv-worker";
+import { fileTypeOf, isWorkbookKey } from "@/lib/xlsx-import";
+import { buildSearchIndex, foldText, searchItems } from "@/lib/search";
+import { EMPTY_SCAN_FILTER, filterScans, isFilterActive, scanWindow, sortScans } from "@/lib/scan-table";
 
 /* ─────────────────────────────
    Parsing, Normalization, Columns
    ───────────────────────────── */
 
-const toNumber = (v) => {
-  const n = typeof v === "number" ? v : parseFloat(String(v ?? "").replace(/[\s,]/g, ""));
-  return Number.isFinite(n) ? n : 0;
-};
-
 // If downloaded text is base64, decode it.
 function decodeMaybeBase64(s) {
   if (!s) return s;
@@ -48,71 +59,18 @@ function decodeMaybeBase64(s) {
   }
 }
 
-// Try multiple CSV parsing strategies until we get rows
-function parseCSVSmart(text) {
-  if (!text || !text.trim()) return { rows: [], headers: [], reason: "CSV text is empty" };
-
-  const sanitize = (x) => x?.replace(/\uFEFF/g, ""); // strip BOM
-
-  const strategies = [
-    { name: "auto", opts: { header: true, skipEmptyLines: "greedy", delimitersToGuess: [",", "\t", ";", "|"] } },
-    { name: "comma", opts: { header: true, skipEmptyLines: "greedy", delimiter: "," } },
-    { name: "tab", opts: { header: true, skipEmptyLines: "greedy", delimiter: "\t" } },
-    { name: "semicolon", opts: { header: true, skipEmptyLines: "greedy", delimiter: ";" } },
-    { name: "pipe", opts: { header: true, skipEmptyLines: "greedy", delimiter: "|" } },
-  ];
-
-  for (const s of strategies) {
-    let parsed;
-    try {
-      parsed = Papa.parse(sanitize(text), {
-        ...s.opts,
-        transformHeader: (h) => sanitize(String(h || "").trim()),
-        worker: false,
-      });
-    } catch {
-      continue;
-    }
-    const data = Array.isArray(parsed?.data) ? parsed.data : [];
-    if (data.length > 0) {
-      const headers = Object.keys(data[0] || {});
-      return { rows: data, headers, reason: null, strategy: s.name };
-    }
-  }
-
-  const firstLine = sanitize(text).split(/\r?\n/)[0]?.slice(0, 200) || "";
-  return { rows: [], headers: [], reason: `No rows parsed. First line: "${firstLine}"` };
-}
-
-// Normalize a barcode/string for matching
-function normCode(v) {
-  let s = String(v ?? "");
-  s = s.replace(/\uFEFF/g, ""); // strip BOM
-  s = s.trim();
-  s = s.replace(/\s+/g, "");   // remove internal spaces
-  s = s.replace(/[^\w-]/g, ""); // keep letters/numbers/_/-
-  return s;
-}
-
-// For numeric codes, also return a variant without leading zeros
-function normVariants(v) {
-  const a = normCode(v);
-  if (/^\d+$/.test(a)) {
-    const b = a.replace(/^0+/, "");
-    return b && b !== a ? [a, b] : [a];
-  }
-  return [a];
-}
+// Header comparison ignores case, BOM, brackets and separators
+const normHeader = (s) =>
+  String(s ?? "")
+    .toLowerCase()
+    .replace(/\uFEFF/g, "")
+    .replace(/[()]/g, "")
+    .replace(/[\s_/|-]+/g, "")
+    .trim();
 
 function mapColumns(headers) {
   const raw = Array.isArray(headers) ? headers : [];
-  const norm = (s) =>
-    String(s ?? "")
-      .toLowerCase()
-      .replace(/\uFEFF/g, "")
-      .replace(/[()]/g, "")
-      .replace(/[\s_/|-]+/g, "")
-      .trim();
+  const norm = normHeader;
 
   const find = (aliases) => raw.find((h) => aliases.map(norm).includes(norm(h)));
 
@@ -146,54 +104,341 @@ function mapColumns(headers) {
       "committed(noteditable)",
       "allocatedqty",
     ]),
+    cost: find(["cost", "unitcost", "costprice", "averagecost", "avgcost"]),
+    sku: find(["sku", "itemsku", "itemno", "itemnumber", "partnumber", "partno", "articlenumber", "articleno", "reference"]),
+    location: find(["location", "bin", "binlocation", "shelf", "warehouselocation", "storagelocation"]),
+    category: find(["category", "productcategory", "itemcategory", "group", "itemgroup", "department"]),
   };
 
   if (!cols.barcode || !cols.name || !cols.onHand) return null;
+  cols.packs = findPackColumns(raw, cols.barcode);
+  cols.source = "auto";
+  return cols;
+}
+
+// Extra barcode columns (inner pack, carton, alternate codes), each paired with
+// the units-per-pack column of the same level when there is one
+const PACK_LEVELS = ["inner", "case", "carton", "outer", "box", "pallet", "pack"];
+const BARCODE_WORDS = /barcode|upc|ean|gtin/;
+const QTY_WORDS = /qty|quantity|size|units|count|per|multiplier|factor/;
+
+function findPackColumns(headers, primary) {
+  const levelOf = (n) => PACK_LEVELS.find((l) => n.includes(l)) || null;
+  const packs = [];
+  for (const h of headers) {
+    const n = normHeader(h);
+    if (h === primary || !BARCODE_WORDS.test(n)) continue;
+    const level = levelOf(n);
+    const qty = level
+      ? headers.find((q) => {
+          const qn = normHeader(q);
+          return !BARCODE_WORDS.test(qn) && levelOf(qn) === level && (QTY_WORDS.test(qn) || qn === `${level}pack`);
+        })
+      : null;
+    packs.push({
+      barcode: h,
+      qty: qty || null,
+      level,
+      label: level ? level[0].toUpperCase() + level.slice(1) : "Alt",
+    });
+  }
+  return packs;
+}
+
+// Fields of the manual mapping dialog; the first three are required to scan
+const COLUMN_FIELDS = [
+  { key: "barcode", label: "Barcode", required: true },
+  { key: "name", label: "Name", required: true },
+  { key: "onHand", label: "On Hand", required: true },
+  { key: "reserved", label: "Reserved" },
+  { key: "cost", label: "Cost" },
+  { key: "sku", label: "SKU" },
+  { key: "location", label: "Location" },
+  { key: "category", label: "Category" },
+];
+
+// Columns from a saved mapping profile; null if a mapped header is gone
+function colsFromMapping(mapping, headers) {
+  const cols = {};
+  for (const { key, required } of COLUMN_FIELDS) {
+    const h = mapping?.[key];
+    if (h && headers.includes(h)) cols[key] = h;
+    else if (required) return null;
+  }
+  const mapped = new Set(Object.values(cols));
+  cols.packs = findPackColumns(headers.filter((h) => !mapped.has(h)), cols.barcode);
+  cols.source = "profile";
   return cols;
 }
 
-function useColumns(rows) {
+// A saved mapping for these exact headers wins over alias detection
+function useColumns(rows, profiles, defaultMapping) {
   return useMemo(() => {
     if (!rows?.length) return null;
     const headers = Object.keys(rows[0] || {});
-    return mapColumns(headers);
-  }, [rows]);
+    const profile = profiles?.[headerFingerprint(headers)];
+    return (
+      (profile && colsFromMapping(profile.mapping, headers)) ||
+      (defaultMapping && colsFromMapping(defaultMapping, headers)) ||
+      mapColumns(headers)
+    );
+  }, [rows, profiles, defaultMapping]);
+}
+
+// Barcode index of the loaded rows (see buildBarcodeIndex), built off the main
+// thread. Null until it's ready, so a scan can't hit the previous file's rows.
+function useBarcodeIndex(rows, cols) {
+  const [index, setIndex] = useState(null);
+  useEffect(() => {
+    setIndex(null);
+    if (!cols || !rows.length) return;
+    let stale = false;
+    buildIndexInBackground(rows, cols)
+      .then((byRow) => {
+        if (stale) return;
+        const m = new Map();
+        for (const [key, v] of byRow) m.set(key, { row: rows[v.row], pack: v.pack });
+        setIndex(m);
+      })
+      .catch((e) => {
+        if (!stale && e?.name !== "AbortError") {
+          try { console.warn("Barcode index failed:", e); } catch {}
+          setIndex(new Map());
+        }
+      });
+    return () => {
+      stale = true;
+    };
+  }, [rows, cols]);
+  return index;
+}
+
+// Windowed rendering for long tables: only the rows in (or near) the scroll
+// viewport are rendered, with spacer rows standing in for the rest. Rows vary
+// in height (badges, open history), so the spacers use the measured average.
+function useWindowedRows(count, { estimate = 44, overscan = 10 } = {}) {
+  const scrollRef = useRef(null);
+  const bodyRef = useRef(null);
+  const [rowHeight, setRowHeight] = useState(estimate);
+  const [view, setView] = useState({ top: 0, height: 800 });
+
+  const onScroll = () => {
+    const el = scrollRef.current;
+    if (el) setView({ top: el.scrollTop, height: el.clientHeight });
+  };
+
+  useEffect(() => {
+    onScroll();
+    window.addEventListener("resize", onScroll);
+    return () => window.removeEventListener("resize", onScroll);
+  }, []);
+
+  const { start, end, padTop, padBottom } = scanWindow(count, { ...view, rowHeight, overscan });
+
+  useEffect(() => {
+    const body = bodyRef.current;
+    if (!body || end <= start) return;
+    let total = 0;
+    for (const tr of body.querySelectorAll("tr[data-row]")) total += tr.getBoundingClientRect().height;
+    const avg = total / (end - start);
+    if (avg > 0 && Math.abs(avg - rowHeight) > 1) setRowHeight(avg);
+  });
+
+  // back to the top, e.g. when the filter or sort changes
+  const scrollToTop = () => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setView((v) => ({ ...v, top: 0 }));
+  };
+
+  return {
+    scrollRef,
+    bodyRef,
+    onScroll,
+    scrollToTop,
+    start,
+    end,
+    padTop,
+    padBottom,
+  };
+}
+
+/* ─────────────────────────────
+   Exports
+   ───────────────────────────── */
+
+// Date and time in the namespace's timezone (the device's when it has none)
+function formatTime(ts, timeZone) {
+  const d = new Date(ts);
+  if (Number.isNaN(d.getTime())) return "";
+  try {
+    return d.toLocaleString(undefined, timeZone ? { timeZone } : undefined);
+  } catch {
+    return d.toLocaleString();
+  }
+}
+
+function downloadCSV(csv, filename) {
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Original rows with the On Hand column replaced by the counted actuals
+function buildWriteBackCSV(rows, cols, diffs, meta, { countedOnly = false } = {}) {
+  const counted = new Map();
+  for (const d of diffs) {
+    if (d.recount === "pending" || isUnknown(d)) continue; // not accepted yet / not in the file
+    for (const k of barcodeKeys(d.barcode)) if (k && !counted.has(k)) counted.set(k, d);
+  }
+
+  const fields = meta?.headers?.length ? meta.headers : Object.keys(rows[0] || {});
+  const data = [];
+  for (const r of rows) {
+    let d = null;
+    for (const k of barcodeKeys(r[cols.barcode])) {
+      d = counted.get(k);
+      if (d) break;
+    }
+    if (!d && countedOnly) continue;
+    const out = d ? { ...r, [cols.onHand]: d.actual } : r;
+    data.push(fields.map((h) => out[h] ?? ""));
+  }
+
+  const csv = Papa.unparse({ fields, data }, { delimiter: meta?.delimiter || ",", newline: meta?.linebreak || "\r\n" });
+  return (meta?.bom ? "\uFEFF" : "") + csv;
 }
 
 /* ─────────────────────────────
    Netlify Functions helpers
    ───────────────────────────── */
 
-async function nfList(ns) {
-  const res = await fetch(`/.netlify/functions/blob-list?ns=${encodeURIComponent(ns)}&ts=${Date.now()}`);
-  if (!res.ok) {
-    const msg = await res.text().catch(() => "");
-    throw new Error(`List failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+// Roles rank counter < supervisor < admin (see netlify/functions/_auth.mjs)
+const ROLES = ["counter", "supervisor", "admin"];
+const roleAtLeast = (role, min) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(min);
+
+// Token of the namespace signed in to, sent with every function call
+let authToken = "";
+let onAuthLost = null; // called on a 401: the token expired or the PINs changed
+
+// Signed-in namespaces on this device: localStorage "inv.auth" = { <ns>: { token, role, expiresAt } }
+function readStoredAuth(ns) {
+  try {
+    const a = JSON.parse(localStorage.getItem("inv.auth") || "{}")[ns];
+    return a?.token && Date.parse(a.expiresAt) > Date.now() ? a : null;
+  } catch {
+    return null;
   }
-  const out = await res.json();
-  const files = (out.files || [])
-    .map((f) => ({
-      key: f.key || f.name || f.id,
-      size: f.size ?? f.bytes ?? null,
-      uploadedAt: f.uploadedAt || f.uploaded_at || null,
-    }))
-    .filter((f) => f.key && /\.csv$/i.test(f.key));
-  return { ...out, files };
 }
 
-// List ALL blobs (used to discover existing scans JSON)
-async function nfListAll(ns) {
-  const res = await fetch(`/.netlify/functions/blob-list?ns=${encodeURIComponent(ns)}&ts=${Date.now()}`);
+function storeAuth(ns, auth) {
+  try {
+    const all = JSON.parse(localStorage.getItem("inv.auth") || "{}");
+    if (auth) all[ns] = auth;
+    else delete all[ns];
+    localStorage.setItem("inv.auth", JSON.stringify(all));
+  } catch {}
+}
+
+async function nfFetch(url, init = {}) {
+  const headers = new Headers(init.headers || {});
+  if (authToken) headers.set("authorization", `Bearer ${authToken}`);
+  const res = await fetch(url, { ...init, headers });
+  if (res.status === 401) onAuthLost?.();
+  return res;
+}
+
+async function nfLogin(ns, pin) {
+  const res = await fetch(`/.netlify/functions/login`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ns, pin }),
+  });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Sign in failed: ${res.status}`);
+  return out;
+}
+
+async function nfGetAccess(ns) {
+  const res = await nfFetch(`/.netlify/functions/access?ns=${encodeURIComponent(ns)}&ts=${Date.now()}`);
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Access failed: ${res.status}`);
+  return out.roles || {};
+}
+
+// An empty `pin` removes that role's PIN
+async function nfSetPin(ns, role, pin) {
+  const res = await nfFetch(`/.netlify/functions/access?ns=${encodeURIComponent(ns)}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ role, pin }),
+  });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Saving PIN failed: ${res.status}`);
+  return out.roles || {};
+}
+
+// Namespace registry (netlify/functions/namespaces.mjs). The last list seen is
+// kept in localStorage "inv.namespaces" so the picker works offline.
+const SEED_NAMESPACES = ["Jeddah", "Riyadh", "Dammam"].map((id) => ({ id, name: id, archived: false, defaults: {} }));
+
+function readStoredNamespaces() {
+  try {
+    const list = JSON.parse(localStorage.getItem("inv.namespaces") || "null");
+    return Array.isArray(list) && list.length ? list : SEED_NAMESPACES;
+  } catch {
+    return SEED_NAMESPACES;
+  }
+}
+
+async function nfListNamespaces() {
+  const res = await fetch(`/.netlify/functions/namespaces?ts=${Date.now()}`);
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Namespaces failed: ${res.status}`);
+  return out.namespaces || [];
+}
+
+// { action: "create" | "update" | "archive" | "restore", id, … } → the new list
+async function nfNamespaceAction(body) {
+  const res = await nfFetch(`/.netlify/functions/namespaces`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Namespace ${body.action} failed: ${res.status}`);
+  return out.namespaces || [];
+}
+
+async function nfDeleteNamespace(id) {
+  const q = `id=${encodeURIComponent(id)}&confirm=${encodeURIComponent(id)}`;
+  const res = await nfFetch(`/.netlify/functions/namespaces?${q}`, { method: "DELETE" });
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(out.error || `Delete failed: ${res.status}`);
+  return out.namespaces || [];
+}
+
+async function nfList(ns) {
+  const res = await nfFetch(`/.netlify/functions/blob-list?ns=${encodeURIComponent(ns)}&ts=${Date.now()}`);
   if (!res.ok) {
     const msg = await res.text().catch(() => "");
-    throw new Error(`List-all failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+    throw new Error(`List failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
   }
   const out = await res.json();
-  const files = (out.files || []).map((f) => ({
-    key: f.key || f.name || f.id,
-    size: f.size ?? f.bytes ?? null,
-    uploadedAt: f.uploadedAt || f.uploaded_at || null,
-  }));
+  const files = (out.files || [])
+    .map((f) => {
+      const key = f.key || f.name || f.id;
+      return {
+        key,
+        type: f.type || fileTypeOf(key),
+        size: f.size ?? f.bytes ?? null,
+        uploadedAt: f.uploadedAt || f.uploaded_at || null,
+      };
+    })
+    .filter((f) => f.key && f.type);
   return { ...out, files };
 }
 
@@ -209,11 +454,11 @@ function bufferToBase64(arrayBuffer) {
   return btoa(binary);
 }
 
-async function nfUpload(ns, file) {
-  const url = `/.netlify/functions/blob-upload?ns=${encodeURIComponent(ns)}&name=${encodeURIComponent(file.name)}`;
+async function nfUpload(ns, file, by = "", { blind = false } = {}) {
+  const url = `/.netlify/functions/blob-upload?ns=${encodeURIComponent(ns)}&name=${encodeURIComponent(file.name)}&by=${encodeURIComponent(by)}${blind ? "&blind=1" : ""}`;
   const buf = await file.arrayBuffer();
   const b64 = bufferToBase64(buf);
-  const res = await fetch(url, { method: "POST", body: b64, headers: { "content-type": "application/octet-stream" } });
+  const res = await nfFetch(url, { method: "POST", body: b64, headers: { "content-type": "application/octet-stream" } });
   if (!res.ok) {
     const msg = await res.text().catch(() => "");
     throw new Error(`Upload failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
@@ -221,35 +466,211 @@ async function nfUpload(ns, file) {
   return res.json();
 }
 
-// Server may return plain CSV text or base64 string → we handle both.
+// Files above this take the chunked path: one function request tops out near
+// 6 MB, and nfUpload's base64 adds a third
+const SINGLE_UPLOAD_MAX = 3 * 1024 * 1024;
+const UPLOAD_CHUNK = 4 * 1024 * 1024; // raw bytes per part
+const uploadRecordKey = (ns) => `upload:${ns}`;
+
+async function sha256Hex(buf) {
+  const digest = await crypto.subtle.digest("SHA-256", buf);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function nfChunked(ns, params, init = {}) {
+  const qs = new URLSearchParams({ ns, ...params });
+  const res = await nfFetch(`/.netlify/functions/blob-upload-chunked?${qs}`, init);
+  const out = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(`Upload failed: ${res.status}${out.error ? ` – ${out.error}` : ""}`);
+    err.status = res.status;
+    throw err;
+  }
+  return out;
+}
+
+/**
+ * Chunked upload (blob-upload-chunked): init, numbered parts, complete. The
+ * upload id and the File itself are kept in IndexedDB ("upload:<ns>") until it
+ * completes, so an interrupted upload carries on from the parts the server
+ * already has, after a reload too. `onProgress({ phase, fraction })` with
+ * phase "hashing" | "uploading" | "assembling"; aborting `signal` pauses it.
+ */
+async function uploadInChunks(ns, file, by = "", { blind = false, onProgress, signal } = {}) {
+  let rec = await idbGet(uploadRecordKey(ns));
+  let received = [];
+  if (rec && rec.name === file.name && rec.size === file.size && rec.lastModified === file.lastModified) {
+    try {
+      const st = await nfChunked(ns, { upload: rec.uploadId });
+      if (st.manifest?.completedAt) {
+        // finished before the app heard back
+        await idbDel(uploadRecordKey(ns));
+        return { ok: true, key: st.manifest.key, session: "open" };
+      }
+      received = st.received || [];
+    } catch (e) {
+      if (e.status !== 404) throw e;
+      rec = null; // expired or discarded elsewhere: start over
+    }
+  } else {
+    rec = null;
+  }
+
+  if (!rec) {
+    onProgress?.({ phase: "hashing", fraction: 0 });
+    const sha256 = await sha256Hex(await file.arrayBuffer());
+    const { uploadId } = await nfChunked(
+      ns,
+      { action: "init", name: file.name, by, blind: blind ? "1" : "0" },
+      {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ size: file.size, chunkSize: UPLOAD_CHUNK, sha256 }),
+      }
+    );
+    rec = { uploadId, file, name: file.name, size: file.size, lastModified: file.lastModified, by, blind, chunkSize: UPLOAD_CHUNK };
+    await idbSet(uploadRecordKey(ns), rec);
+  }
+
+  const parts = Math.ceil(rec.size / rec.chunkSize);
+  const have = new Set(received);
+  let sent = have.size;
+  onProgress?.({ phase: "uploading", fraction: sent / parts });
+  for (let n = 1; n <= parts; n++) {
+    if (have.has(n)) continue;
+    const buf = await file.slice((n - 1) * rec.chunkSize, n * rec.chunkSize).arrayBuffer();
+    const hash = await sha256Hex(buf);
+    // network hiccups and corrupted parts are retried; other refusals are final
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await nfChunked(
+          ns,
+          { upload: rec.uploadId, part: String(n) },
+          { method: "PUT", body: buf, headers: { "content-type": "application/octet-stream", "x-part-sha256": hash }, signal }
+        );
+        break;
+      } catch (e) {
+        if (signal?.aborted || attempt >= 3 || (e.status >= 400 && e.status < 500 && e.status !== 422)) throw e;
+        await new Promise((r) => setTimeout(r, 1000 * attempt));
+      }
+    }
+    onProgress?.({ phase: "uploading", fraction: ++sent / parts });
+  }
+
+  onProgress?.({ phase: "assembling", fraction: 1 });
+  try {
+    const out = await nfChunked(ns, { upload: rec.uploadId, action: "complete" }, { method: "POST" });
+    await idbDel(uploadRecordKey(ns));
+    return out;
+  } catch (e) {
+    if (e.status === 422) await idbDel(uploadRecordKey(ns)); // checksum failed: the server dropped the parts
+    throw e;
+  }
+}
+
+// CSVs come back as plain text or a base64 string (we handle both), workbooks as bytes.
+// Files uploaded in parts come back as the list of them (x-file-parts): each
+// part is fetched on its own, checked against its SHA-256, then joined here
+// and the whole file checked against the hash it was uploaded with.
 async function nfDownload(key) {
-  const res = await fetch(`/.netlify/functions/blob-download?key=${encodeURIComponent(key)}&ts=${Date.now()}`);
+  const get = async (part) => {
+    const res = await nfFetch(
+      `/.netlify/functions/blob-download?key=${encodeURIComponent(key)}${part ? `&part=${part}` : ""}&ts=${Date.now()}`
+    );
+    if (!res.ok) {
+      const msg = await res.text().catch(() => "");
+      throw new Error(`Download failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+    }
+    return res;
+  };
+  const res = await get();
+  if (!res.headers.get("x-file-parts")) return res.blob();
+
+  const { parts, sha256, partSha256, contentType } = await res.json();
+  const bufs = [];
+  for (let n = 1; n <= parts; n++) {
+    const buf = await (await get(n)).arrayBuffer();
+    if ((await sha256Hex(buf)) !== partSha256[n - 1]) throw new Error(`Download failed: part ${n} is corrupted`);
+    bufs.push(buf);
+  }
+  const blob = new Blob(bufs, { type: contentType });
+  if (sha256 && (await sha256Hex(await blob.arrayBuffer())) !== sha256) {
+    throw new Error("Download failed: the file doesn't match the one uploaded");
+  }
+  return blob;
+}
+
+// Append scan events to the file's log (never overwrites other counters)
+async function nfAppendEvents(fileKey, events) {
+  const res = await nfFetch(`/.netlify/functions/scan-events?file=${encodeURIComponent(fileKey)}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ events }),
+  });
   if (!res.ok) {
     const msg = await res.text().catch(() => "");
-    throw new Error(`Download failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+    const err = new Error(`Append events failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+    err.status = res.status; // 423 = count session finalized
+    throw err;
+  }
+  return res.json();
+}
+
+// Count session of a file: { session: { state, startedBy, startedAt, … }, version }
+async function nfGetSession(fileKey) {
+  const res = await nfFetch(`/.netlify/functions/session?file=${encodeURIComponent(fileKey)}&ts=${Date.now()}`);
+  if (!res.ok) throw new Error(`Get session failed: ${res.status}`);
+  return res.json();
+}
+
+// action: "review" | "reopen" | "finalize" | "configure" (with settings in `extra`)
+// zeroUncounted items the session function takes per finalize call
+const ZERO_PER_CALL = 10000;
+
+async function nfSessionAction(fileKey, action, by, extra = {}) {
+  const res = await nfFetch(`/.netlify/functions/session?file=${encodeURIComponent(fileKey)}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ...extra, action, by }),
+  });
+  if (!res.ok) {
+    const out = await res.json().catch(() => ({}));
+    throw new Error(`Session ${action} failed: ${res.status}${out.error ? ` – ${out.error}` : ""}`);
   }
-  const text = await res.text();
-  return new Blob([text], { type: "text/plain; charset=utf-8" });
+  return res.json();
+}
+
+// Saved column mappings of a namespace: { profiles: { <header fingerprint>: { headers, mapping, … } } }
+async function nfGetColumnMaps(ns) {
+  const res = await nfFetch(`/.netlify/functions/column-maps?ns=${encodeURIComponent(ns)}&ts=${Date.now()}`);
+  if (!res.ok) throw new Error(`Get column mappings failed: ${res.status}`);
+  return res.json();
 }
 
-async function nfPutJSON(key, data) {
-  const res = await fetch(`/.netlify/functions/blob-put-json?key=${encodeURIComponent(key)}`, {
+// Save (or with `mapping` null, forget) the mapping for these headers
+async function nfSaveColumnMap(ns, headers, mapping, by) {
+  const res = await nfFetch(`/.netlify/functions/column-maps?ns=${encodeURIComponent(ns)}`, {
     method: "POST",
     headers: { "content-type": "application/json" },
-    body: JSON.stringify(data ?? {}),
+    body: JSON.stringify(mapping ? { headers, mapping, by } : { headers, remove: true }),
   });
-  if (!res.ok) throw new Error(`Save JSON failed: ${res.status}`);
+  if (!res.ok) {
+    const msg = await res.text().catch(() => "");
+    throw new Error(`Save column mapping failed: ${res.status}${msg ? ` – ${msg}` : ""}`);
+  }
   return res.json();
 }
 
-async function nfGetJSON(key) {
-  const res = await fetch(`/.netlify/functions/blob-get-json?key=${encodeURIComponent(key)}&ts=${Date.now()}`);
-  if (!res.ok) throw new Error(`Get JSON failed: ${res.status}`);
+// Snapshot + event log folded server-side into { diffs }
+async function nfScanState(fileKey, baseKey) {
+  const base = baseKey ? `&base=${encodeURIComponent(baseKey)}` : "";
+  const res = await nfFetch(`/.netlify/functions/scan-state?file=${encodeURIComponent(fileKey)}${base}&ts=${Date.now()}`);
+  if (!res.ok) throw new Error(`Scan state failed: ${res.status}`);
   return res.json();
 }
 
 /* ─────────────────────────────
-   Scans key helpers (multi-location support)
+   Scans key helpers
    ───────────────────────────── */
 
 // Canonical scans key (keeps prefix if present, avoids leading slash)
@@ -260,59 +681,428 @@ const scansKeyFor = (fileKey) => {
   return `${prefix ? prefix + "/" : ""}scans/${base}.json`;
 };
 
-// Generate all plausible locations where scans may live
-const scanKeyCandidates = (fileKey, namespace) => {
-  const parts = String(fileKey || "").split("/");
-  const filename = parts.pop() || "file.csv";
-  const base = filename.replace(/\.[^.]+$/, "");
-  const prefix = parts.join("/"); // "" or like "default"
 
-  const primary = scansKeyFor(fileKey);              // "<prefix>/scans/<base>.json" or "scans/<base>.json"
-  const root    = `scans/${base}.json`;              // "scans/<base>.json"
-  const nsRoot  = `${namespace}/scans/${base}.json`; // "<ns>/scans/<base>.json"
-  const scansNs = `scans/${namespace}/${base}.json`; // "scans/<ns>/<base>.json" (early variant)
+const SESSION_LABELS = { open: "Open", review: "In review", finalized: "Finalized" };
+
+// File picker groups, by fileTypeOf
+const FILE_GROUPS = [
+  { label: "CSV", types: ["csv"] },
+  { label: "Excel", types: ["xlsx", "xls"] },
+];
+
+/**
+ * Does a variance fall outside the session's tolerance and need a recount?
+ * Quantity limits (abs units, pct of On Hand) flag only when every configured
+ * one is exceeded; the value limit (|delta| × cost) flags on its own.
+ */
+function needsRecount(delta, prevOnHand, cost, tol) {
+  if (!tol || !delta) return false;
+  const d = Math.abs(delta);
+  const qty = [];
+  if (tol.abs != null) qty.push(d > tol.abs);
+  if (tol.pct != null) qty.push((d / Math.max(Math.abs(prevOnHand), 1)) * 100 > tol.pct);
+  if (qty.length && qty.every(Boolean)) return true;
+  return tol.value != null && cost > 0 && d * cost > tol.value;
+}
+
+// Unknown barcodes are kept as their own lines, outside the CSV comparison
+const isUnknown = (d) => !!d?.unknown;
 
-  return Array.from(new Set([primary, nsRoot, root, scansNs]));
+// CSV rows without any scan entry (a pending recount counts as counted)
+const uncountedOf = (rows, cols, diffs) => {
+  const counted = new Set();
+  for (const d of diffs) if (!isUnknown(d)) for (const k of barcodeKeys(d.barcode)) counted.add(k);
+  return rows.filter((r) => !barcodeKeys(r[cols.barcode]).some((k) => counted.has(k)));
 };
 
+// Counts are kept per (barcode, location); "" is "no location set"
+const sameEntry = (a, b) => a.barcode === b.barcode && (a.location || "") === (b.location || "");
+
+// "A-01: 4; B-12: 6" for items counted in named locations
+const locationSummary = (item) =>
+  (item.locations || [])
+    .filter((l) => l.location)
+    .map((l) => `${l.location}: ${l.actual}`)
+    .join("; ");
+
+// One export row per scan; blind views leave out everything derived from On Hand
+// Pass `item` (the aggregated row) for per-location detail: Delta is then the item's
+function scanExportRow(d, { hideExpected = false, item = null } = {}) {
+  const row = { Barcode: d.barcode, Name: d.name };
+  row.Location = d.locations ? locationSummary(d) : d.location || "";
+  if (!hideExpected) {
+    row["Prev On Hand"] = d.prevOnHand;
+    row.Reserved = d.reserved;
+  }
+  row["Actual On Hand"] = d.actual;
+  if (item) row["Item Total"] = item.actual;
+  if (!hideExpected) row.Delta = item ? item.delta : d.delta;
+  row["Found By"] = d.zeroed ? "not counted (zeroed at finalize)" : d.source === "search" ? "search" : "scan";
+  row["Scanned Pack"] = d.pack ? `${d.pack} x${d.packSize}` : "";
+  row["Scanned Barcode"] = d.scannedBarcode || "";
+  row.Timestamp = d.ts;
+  row.Counter = d.counter || "";
+  row["Recount Status"] = d.recount || "";
+  row["First Count"] = d.recount === "done" ? d.firstActual : "";
+  row["First Counter"] = d.recount === "done" ? d.firstCounter || "" : "";
+  row["Second Count"] = d.recount === "done" ? d.actual : "";
+  row.Accepted = d.recount === "done" ? d.accepted : "";
+  return row;
+}
+
+/* ─────────────────────────────
+   Scan events (client side of the append-only log)
+   ───────────────────────────── */
+
+// Id of one scan event, unique across devices, so a batch sent twice is
+// folded once (see netlify/functions/_scan-log.mjs)
+const newEventId = () =>
+  `e${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Stable per-device id so the log can tell phones apart
+function getClientId() {
+  try {
+    let id = localStorage.getItem("inv.clientId");
+    if (!id) {
+      id = `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      localStorage.setItem("inv.clientId", id);
+    }
+    return id;
+  } catch {
+    return "anon";
+  }
+}
+
+const MAX_HISTORY = 100;
+
+// Same as the server's historyAfter: one step per count/edit/undo, consecutive
+// tally adds by the same counter merged into one step
+function historyAfter(prev, next, e) {
+  const history = prev?.history || (prev ? [{ type: "count", actual: prev.actual, counter: prev.counter || "", ts: prev.ts }] : []);
+  const step = { type: e.correction || e.type, actual: next.actual, counter: e.counter || "", ts: e.ts };
+  const last = history[history.length - 1];
+  if (e.type === "add" && !e.correction) {
+    if (last?.type === "add" && last.counter === step.counter) {
+      return [...history.slice(0, -1), { ...last, qty: last.qty + e.qty, actual: next.actual, ts: e.ts }];
+    }
+    step.qty = e.qty;
+  }
+  return [...history, step].slice(-MAX_HISTORY);
+}
+
+// Entries saved before history existed have just their own count
+const historyOf = (d) => d.history || [{ type: "count", actual: d.actual, counter: d.counter || "", ts: d.ts }];
+
+// Same as the server's withoutCorrection: a plain tally add on top of an
+// edited or undone entry doesn't carry that correction along
+const CORRECTION_FIELDS = ["correction", "prevActual", "undoes", "cleared"];
+function withoutCorrection(d) {
+  if (!d) return d;
+  const out = { ...d };
+  for (const k of CORRECTION_FIELDS) delete out[k];
+  return out;
+}
+
+// Same fold as the server: a count replaces that barcode's entry at that
+// location (keeping its history), an add bumps its running tally, a delete
+// drops it, a reset clears all
+function applyScanEvents(diffs, events) {
+  let out = Array.isArray(diffs) ? diffs : [];
+  for (const ev of events || []) {
+    if (ev.type === "reset") {
+      out = [];
+      continue;
+    }
+    const { type, qty, ...entry } = ev;
+    if (type === "delete") {
+      out = out.filter((x) => !sameEntry(x, entry));
+      continue;
+    }
+    const prev = out.find((x) => sameEntry(x, entry));
+    const next =
+      type === "add"
+        ? {
+            ...(entry.correction ? prev : withoutCorrection(prev)),
+            ...entry,
+            actual: (prev?.actual ?? 0) + qty,
+            delta: (prev?.actual ?? 0) + qty - (entry.prevOnHand ?? 0),
+          }
+        : { ...entry };
+    next.history = historyAfter(prev, next, ev);
+    out = [next, ...out.filter((x) => !sameEntry(x, entry))];
+  }
+  return out;
+}
+
 /* ─────────────────────────────
    Main Component
    ───────────────────────────── */
 
 export default function InventoryScannerApp() {
   // Cloud / files
-  const [namespace, setNamespace] = useState("Jeddah");
+  const [namespaces, setNamespaces] = useState(readStoredNamespaces); // registry entries, archived included
+  const [namespace, setNamespace] = useState(() => {
+    let last = "";
+    try { last = localStorage.getItem("inv.namespace") || ""; } catch {}
+    return last || readStoredNamespaces().find((n) => !n.archived)?.id || "";
+  });
+  const activeNamespaces = useMemo(() => namespaces.filter((n) => !n.archived), [namespaces]);
+  const nsInfo = namespaces.find((n) => n.id === namespace) || null;
+  const when = (ts) => formatTime(ts, nsInfo?.timezone);
   const [cloudFiles, setCloudFiles] = useState([]); // {key,size,uploadedAt}
   const [cloudBusy, setCloudBusy] = useState(false);
   const [activeKey, setActiveKey] = useState("");
+  const [uploadProgress, setUploadProgress] = useState(null); // { name, phase, fraction } during a chunked upload
+  const [pendingUpload, setPendingUpload] = useState(null); // interrupted chunked upload of this namespace
+  const uploadAbortRef = useRef(null);
+
+  // Signed-in role for this namespace. It only decides what the UI offers;
+  // every function checks the token again.
+  const [auth, setAuth] = useState(null); // { token, role, site, expiresAt }
+  const [pinDraft, setPinDraft] = useState("");
+  const [accessDraft, setAccessDraft] = useState(null); // { roles, pins } while the PINs dialog is open
+  const [nsDraft, setNsDraft] = useState(null); // settings of this namespace while the Namespaces dialog is open
+  const [newNsDraft, setNewNsDraft] = useState({ id: "", name: "", timezone: "" });
+  const role = auth?.role || null;
+  const supervisor = roleAtLeast(role, "supervisor");
+  const isAdmin = role === "admin";
 
   useEffect(() => {
-    // whenever namespace changes (including first mount), fetch that bucket’s files
-    refreshCloudList();
+    // whenever namespace changes (including first mount), use this device's
+    // sign-in for it (if any) and fetch that bucket’s files
+    const saved = readStoredAuth(namespace);
+    authToken = saved?.token || "";
+    setAuth(saved);
+    onAuthLost = () => {
+      storeAuth(namespace, null);
+      authToken = "";
+      setAuth(null);
+      setError("Your sign-in expired or was revoked. Sign in again to continue.");
+    };
+    if (saved) {
+      refreshCloudList();
+      refreshColumnProfiles();
+    } else {
+      setCloudFiles([]);
+      setColumnProfiles({});
+    }
 
     // clear any previously selected file so nothing from another namespace lingers
+    clearFileState();
+    idbGet(uploadRecordKey(namespace)).then((rec) => setPendingUpload(rec || null));
+  }, [namespace]);
+
+  useEffect(() => {
+    try { localStorage.setItem("inv.namespace", namespace); } catch {}
+  }, [namespace]);
+
+  useEffect(() => {
+    refreshNamespaces();
+  }, []);
+
+  // New uploads start as the namespace's counting settings say
+  useEffect(() => {
+    setBlindUploads(!!nsInfo?.defaults?.blind);
+  }, [namespace, nsInfo?.defaults?.blind]);
+
+  const applyNamespaces = (list) => {
+    setNamespaces(list);
+    try { localStorage.setItem("inv.namespaces", JSON.stringify(list)); } catch {}
+    // the last namespace of this device may have been archived or deleted meanwhile
+    setNamespace((cur) => (list.some((n) => n.id === cur && !n.archived) ? cur : list.find((n) => !n.archived)?.id || ""));
+  };
+
+  const refreshNamespaces = async () => {
+    try {
+      applyNamespaces(await nfListNamespaces());
+    } catch (e) {
+      // offline: keep the cached list
+      try { console.warn("Namespaces unavailable:", e); } catch {}
+    }
+  };
+
+  const clearFileState = () => {
     setActiveKey("");
     setRows([]);
+    setCsvMeta(null);
+    setSheetInfo(null);
     setDiffs([]);
     setFileName("");
-  }, [namespace]);
+    setSession(null);
+    setUndoStack([]);
+    setCorrections([]);
+  };
+
+  const signIn = async (e) => {
+    e?.preventDefault();
+    if (!pinDraft) return;
+    setCloudBusy(true);
+    let ok = false;
+    try {
+      const out = await nfLogin(namespace, pinDraft);
+      const a = { token: out.token, role: out.role, site: !!out.site, expiresAt: out.expiresAt };
+      storeAuth(namespace, a);
+      authToken = a.token;
+      setAuth(a);
+      setPinDraft("");
+      setError("");
+      ok = true;
+    } catch (err) {
+      setError(err.message || "Sign in failed");
+    } finally {
+      setCloudBusy(false);
+    }
+    if (ok) {
+      refreshCloudList();
+      refreshColumnProfiles();
+    }
+  };
+
+  const signOut = () => {
+    storeAuth(namespace, null);
+    authToken = "";
+    setAuth(null);
+    setCloudFiles([]);
+    clearFileState();
+  };
+
+  // Admins: which roles have a PIN, and new PINs to set
+  const openAccess = async () => {
+    try {
+      const roles = await nfGetAccess(namespace);
+      setAccessDraft({ roles, pins: { counter: "", supervisor: "", admin: "" } });
+    } catch (e) {
+      setError(e.message || "Failed to load PINs");
+    }
+  };
+
+  // Admins: this namespace's name, timezone and defaults; site admins also
+  // create, archive and delete namespaces
+  const openNamespaces = () => {
+    const d = nsInfo?.defaults || {};
+    const t = d.tolerance || {};
+    setNsDraft({
+      name: nsInfo?.name || namespace,
+      timezone: nsInfo?.timezone || "",
+      blind: !!d.blind,
+      tolerance: { abs: t.abs ?? "", pct: t.pct ?? "", value: t.value ?? "" },
+      mapping: d.mapping || null,
+    });
+    refreshNamespaces();
+  };
+
+  const namespaceAction = async (run) => {
+    setCloudBusy(true);
+    try {
+      applyNamespaces(await run());
+      setError("");
+      return true;
+    } catch (e) {
+      setError(e.message || "Namespace change failed");
+      return false;
+    } finally {
+      setCloudBusy(false);
+    }
+  };
+
+  const saveNamespaceSettings = async () => {
+    const blank = (v) => (v === "" ? null : v);
+    const ok = await namespaceAction(() =>
+      nfNamespaceAction({
+        action: "update",
+        id: namespace,
+        by: counter.trim(),
+        name: nsDraft.name,
+        timezone: nsDraft.timezone || undefined,
+        defaults: {
+          mapping: nsDraft.mapping,
+          blind: nsDraft.blind,
+          tolerance: {
+            abs: blank(nsDraft.tolerance.abs),
+            pct: blank(nsDraft.tolerance.pct),
+            value: blank(nsDraft.tolerance.value),
+          },
+        },
+      })
+    );
+    if (ok) setNsDraft(null);
+  };
+
+  // The loaded file's columns become the mapping for files no saved mapping matches
+  const mappingFromFile = () => {
+    const mapping = {};
+    for (const { key } of COLUMN_FIELDS) if (cols?.[key]) mapping[key] = cols[key];
+    setNsDraft((d) => ({ ...d, mapping }));
+  };
+
+  const createNamespace = async (e) => {
+    e?.preventDefault();
+    const id = newNsDraft.id.trim();
+    if (!id) return;
+    const ok = await namespaceAction(() =>
+      nfNamespaceAction({ action: "create", id, name: newNsDraft.name.trim() || id, timezone: newNsDraft.timezone.trim() || undefined, by: counter.trim() })
+    );
+    if (ok) setNewNsDraft({ id: "", name: "", timezone: "" });
+  };
+
+  const setArchived = (id, archived) =>
+    namespaceAction(() => nfNamespaceAction({ action: archived ? "archive" : "restore", id, by: counter.trim() }));
+
+  const deleteNamespace = (n) => {
+    if (!window.confirm(`Delete namespace "${n.name}" and every file, scan and session in it? This cannot be undone.`)) return;
+    namespaceAction(() => nfDeleteNamespace(n.id));
+  };
+
+  const savePin = async (r, pin) => {
+    try {
+      const roles = await nfSetPin(namespace, r, pin);
+      setAccessDraft((d) => d && { roles, pins: { ...d.pins, [r]: "" } });
+      setError("");
+    } catch (e) {
+      setError(e.message || "Failed to save PIN");
+    }
+  };
 
   // ... rest of your component
 
   // Data
   const [rows, setRows] = useState([]);
+  const [csvMeta, setCsvMeta] = useState(null); // { headers, delimiter, linebreak, bom } of the loaded file
+  const [csvProgress, setCsvProgress] = useState(null); // { rows, fraction } while a file is being parsed
+  const csvAbortRef = useRef(null);
+  const [sheetInfo, setSheetInfo] = useState(null); // { sheets, sheet, headerRow } of a loaded workbook
+  const workbookRef = useRef(null); // { key, buffer } of the last workbook, for switching sheets
+  const [writeBackCountedOnly, setWriteBackCountedOnly] = useState(false);
+  const [exportHistory, setExportHistory] = useState("latest"); // All Scans: "latest" | "full"
+  const [expandedEntry, setExpandedEntry] = useState(""); // row whose count history is open
+  const [scanFilter, setScanFilter] = useState(EMPTY_SCAN_FILTER); // Recent Scans filters
+  const [scanSort, setScanSort] = useState({ key: "ts", dir: "desc" });
   const [fileName, setFileName] = useState("");
   const [error, setError] = useState("");
-  const cols = useColumns(rows);
+  const [columnProfiles, setColumnProfiles] = useState({}); // saved mappings of this namespace by header fingerprint
+  const [mappingDraft, setMappingDraft] = useState(null); // { barcode, name, onHand, … } while the dialog is open
+  const cols = useColumns(rows, columnProfiles, nsInfo?.defaults?.mapping);
+  const fileHeaders = useMemo(() => Object.keys(rows[0] || {}), [rows]);
+  const savedMapping = fileHeaders.length ? columnProfiles[headerFingerprint(fileHeaders)] : null;
+
+  // Fast lookup by Barcode (as typed + canonical GTIN-14) → { row, pack }, built in
+  // the CSV worker; null while it's being (re)built
+  const index = useBarcodeIndex(rows, cols);
+
+  // Search by name/SKU for labels that won't scan
+  const searchIndex = useMemo(() => {
+    if (!cols) return [];
+    const codes = [cols.barcode, cols.sku, ...(cols.packs || []).map((p) => p.barcode)].filter(Boolean);
+    return buildSearchIndex(rows, [cols.name], codes);
+  }, [rows, cols]);
 
-  // Fast lookup by Barcode (with variants)
-  const index = useMemo(() => {
-    if (!cols) return new Map();
+  // Values of the location column, so scanning a bin label can set the location
+  const knownLocations = useMemo(() => {
     const m = new Map();
-    for (const r of rows) {
-      const raw = r[cols.barcode];
-      for (const key of normVariants(raw)) {
-        if (key) m.set(key, r);
+    if (cols?.location) {
+      for (const r of rows) {
+        const v = String(r[cols.location] ?? "").trim();
+        if (v) m.set(v.toLowerCase(), v);
       }
     }
     return m;
@@ -323,11 +1113,177 @@ export default function InventoryScannerApp() {
   const [active, setActive] = useState(null);
   const [actualQty, setActualQty] = useState("");
   const [notFound, setNotFound] = useState("");
+  const [checkDigitWarning, setCheckDigitWarning] = useState(""); // last scan had a bad GTIN check digit
+  const [searchQuery, setSearchQuery] = useState("");
+  const [showUncounted, setShowUncounted] = useState(false);
+  const [uncountedFilter, setUncountedFilter] = useState("");
+  const [zeroUncounted, setZeroUncounted] = useState(false); // finalize option for wall-to-wall counts
+  const deferredQuery = useDeferredValue(searchQuery);
+  const searchResults = useMemo(
+    () => (deferredQuery.trim().length >= 2 ? searchItems(searchIndex, deferredQuery, 8) : []),
+    [searchIndex, deferredQuery]
+  );
+  const [unknownDraft, setUnknownDraft] = useState(null); // { barcode, actual, description, note }
+  // "typed" opens the quantity dialog per scan; "tally" adds packQty per scan
+  const [countMode, setCountMode] = useState(() => {
+    try { return localStorage.getItem("inv.countMode") === "tally" ? "tally" : "typed"; } catch { return "typed"; }
+  });
+  const [packQty, setPackQty] = useState("1");
+  // bin/location being counted; counts are stored per (barcode, location)
+  const [countLocation, setCountLocation] = useState(() => {
+    try { return localStorage.getItem("inv.location") || ""; } catch { return ""; }
+  });
+  const [tallyHistory, setTallyHistory] = useState([]); // newest first: { barcode, name, qty, actual }
+  // newest first: { label, entries: [{ before, after }] } or { label, add: compensating add event, tally }
+  const [undoStack, setUndoStack] = useState([]);
+  const undoingRef = useRef(false); // an undo is checking the server's state
+  const [editDraft, setEditDraft] = useState(null); // { entry, actual }
+  const [corrections, setCorrections] = useState([]); // audit trail from scan-state, newest first
+  const [cameraOpen, setCameraOpen] = useState(false);
   const [saving, setSaving] = useState(false);
   const barcodeRef = useRef(null);
   const lastSavedRef = useRef("");
   const resolvedScansKeyRef = useRef(""); // where scans were found/saved for current file
   const loadingScansRef = useRef(false);  // ⛔️ pause autosave during loads
+  const pendingEventsRef = useRef({});    // fileKey -> scan events not yet in the server log
+  const clientIdRef = useRef(getClientId());
+  const [session, setSession] = useState(null); // count session of the active file
+  const readOnly = session?.state === "finalized";
+  const [blindUploads, setBlindUploads] = useState(false); // starts at the namespace's default
+  // Blind count: counters never see system quantities; supervisors see them from review on
+  const hideExpected = !!session?.blind && (!supervisor || session.state === "open");
+  const [counter, setCounter] = useState(() => {
+    try { return localStorage.getItem("inv.counter") || ""; } catch { return ""; }
+  });
+
+  useEffect(() => {
+    try { localStorage.setItem("inv.counter", counter); } catch {}
+  }, [counter]);
+
+  useEffect(() => {
+    try { localStorage.setItem("inv.location", countLocation); } catch {}
+  }, [countLocation]);
+
+  useEffect(() => {
+    try { localStorage.setItem("inv.countMode", countMode); } catch {}
+    setTallyHistory([]);
+  }, [countMode]);
+
+
+  const [toleranceDraft, setToleranceDraft] = useState({ abs: "", pct: "", value: "" });
+  useEffect(() => {
+    const t = session?.tolerance || {};
+    setToleranceDraft({ abs: t.abs ?? "", pct: t.pct ?? "", value: t.value ?? "" });
+  }, [session?.tolerance]);
+
+  const [online, setOnline] = useState(() => (typeof navigator === "undefined" ? true : navigator.onLine));
+  const [pendingCount, setPendingCount] = useState(0);
+  const [syncTick, setSyncTick] = useState(0); // bump to retry a sync
+
+  const pendingFor = (fileKey) => pendingEventsRef.current[fileKey] || [];
+
+  // Every queue change is mirrored to IndexedDB so scans survive reloads offline
+  const setPending = (next) => {
+    pendingEventsRef.current = next;
+    setPendingCount(Object.values(next).reduce((n, evs) => n + evs.length, 0));
+    idbSet("queue", next);
+  };
+
+  const queueEvents = (fileKey, evs) => {
+    setPending({
+      ...pendingEventsRef.current,
+      [fileKey]: [...pendingFor(fileKey), ...evs],
+    });
+  };
+  const queueEvent = (fileKey, ev) => queueEvents(fileKey, [ev]);
+
+  // Restore the offline queue; watch connectivity
+  useEffect(() => {
+    idbGet("queue").then((saved) => {
+      if (!saved || typeof saved !== "object") return;
+      const merged = {};
+      // events queued before they had ids get one, so they can be dequeued by it
+      for (const [k, evs] of Object.entries(saved)) merged[k] = (evs || []).map((e) => (e.id ? e : { ...e, id: newEventId() }));
+      for (const [k, evs] of Object.entries(pendingEventsRef.current)) merged[k] = [...(merged[k] || []), ...evs];
+      setPending(merged);
+      setSyncTick((t) => t + 1);
+    });
+    const up = () => {
+      setOnline(true);
+      setSyncTick((t) => t + 1);
+    };
+    const down = () => setOnline(false);
+    window.addEventListener("online", up);
+    window.addEventListener("offline", down);
+    return () => {
+      window.removeEventListener("online", up);
+      window.removeEventListener("offline", down);
+    };
+  }, []);
+
+  // Drop sent events from the queue by id: scans queued while a batch was in
+  // flight stay, whatever their position
+  const dequeueEvents = (fileKey, sent) => {
+    const ids = new Set(sent.map((e) => e.id));
+    const rest = pendingFor(fileKey).filter((e) => !ids.has(e.id));
+    const next = { ...pendingEventsRef.current };
+    if (rest.length) next[fileKey] = rest;
+    else delete next[fileKey];
+    setPending(next);
+  };
+
+  // Send every queued batch; whatever fails stays queued for the next save.
+  // One flush at a time: the autosave, the sync tick and session changes all
+  // share the one in flight (and start another if scans were queued meanwhile).
+  const flushRef = useRef(null);
+  const flushPendingEvents = () => {
+    if (flushRef.current) {
+      const queued = () => Object.values(pendingEventsRef.current).some((evs) => evs.length);
+      return flushRef.current.catch(() => {}).then(() => (queued() ? flushPendingEvents() : undefined));
+    }
+    const run = (async () => {
+      for (const fileKey of Object.keys(pendingEventsRef.current)) {
+        let events;
+        // the server takes at most 500 events per batch
+        while ((events = pendingFor(fileKey).slice(0, 500)).length) {
+          try {
+            await nfAppendEvents(fileKey, events);
+          } catch (e) {
+            if (e.status === 403) {
+              // not allowed for this role (e.g. undoing a colleague's scan) — retrying won't help
+              setError(`${events.length} change(s) to ${fileKey.split("/").pop()} were refused: ${e.message}`);
+              dequeueEvents(fileKey, events);
+              if (fileKey === activeKey) setSyncTick((t) => t + 1);
+              continue;
+            }
+            if (e.status !== 423) throw e;
+            // finalized by someone else meanwhile — the server will never take these
+            events = pendingFor(fileKey);
+            setError(`${events.length} scan(s) for ${fileKey.split("/").pop()} were not saved: the count was finalized.`);
+            if (fileKey === activeKey) refreshSession(fileKey);
+          }
+          dequeueEvents(fileKey, events);
+        }
+      }
+    })();
+    flushRef.current = run;
+    const done = () => {
+      if (flushRef.current === run) flushRef.current = null;
+    };
+    run.then(done, done);
+    return run;
+  };
+
+  // Keep retrying while scans are queued; with no file open, flush directly
+  useEffect(() => {
+    if (!online || !pendingCount) return;
+    if (!activeKey) {
+      flushPendingEvents().catch((e) => console.warn("Background sync failed:", e));
+      return;
+    }
+    const t = setInterval(() => setSyncTick((n) => n + 1), 20000);
+    return () => clearInterval(t);
+  }, [online, pendingCount, activeKey, syncTick]);
 
   useEffect(() => {
     const t = setTimeout(() => barcodeRef.current?.focus(), 200);
@@ -346,151 +1302,319 @@ export default function InventoryScannerApp() {
         return (b.key || "").localeCompare(a.key || "");
       });
       setCloudFiles(arr);
+      idbSet(`list:${namespace}`, arr);
     } catch (e) {
-      setError(e.message || "Failed to list");
+      const cached = await idbGet(`list:${namespace}`);
+      if (cached) setCloudFiles(cached);
+      else setError(e.message || "Failed to list");
     } finally {
       setCloudBusy(false);
     }
   };
 
+  const refreshColumnProfiles = async () => {
+    const ns = namespace;
+    try {
+      const out = await nfGetColumnMaps(ns);
+      setColumnProfiles(out.profiles || {});
+      idbSet(`colmaps:${ns}`, out.profiles || {});
+    } catch {
+      setColumnProfiles((await idbGet(`colmaps:${ns}`)) || {});
+    }
+  };
+
+  // Mapping dialog starts from whatever is in use now (saved or detected)
+  const openColumnMapping = () => {
+    const draft = {};
+    for (const { key } of COLUMN_FIELDS) draft[key] = cols?.[key] || "";
+    setMappingDraft(draft);
+  };
+
+  const saveColumnMapping = async (mapping) => {
+    try {
+      const out = await nfSaveColumnMap(namespace, fileHeaders, mapping, counter.trim());
+      setColumnProfiles((p) => {
+        const next = { ...p };
+        if (out.profile) next[out.fingerprint] = out.profile;
+        else delete next[out.fingerprint];
+        idbSet(`colmaps:${namespace}`, next);
+        return next;
+      });
+      setMappingDraft(null);
+      setError("");
+    } catch (e) {
+      setError(e.message || "Failed to save column mapping");
+    }
+  };
+
   // Upload → insert into list immediately → load → refresh
-  const handleCloudUploadThenLoad = async (file) => {
+  // Files too big for one request go up in parts with a progress bar; Pause (or
+  // a dropped connection) leaves them resumable. `by` / `blind` default to the
+  // current settings, a resumed upload keeps the ones it started with.
+  const handleCloudUploadThenLoad = async (file, { by = counter.trim(), blind = blindUploads } = {}) => {
     if (!file) return;
     setCloudBusy(true);
+    const controller = new AbortController();
     try {
-      const up = await nfUpload(namespace, file);
-      if (/\.csv$/i.test(up.key)) {
-        setCloudFiles((prev) => [{ key: up.key, uploadedAt: new Date().toISOString() }, ...prev]);
+      let up;
+      if (file.size > SINGLE_UPLOAD_MAX) {
+        uploadAbortRef.current = controller;
+        setUploadProgress({ name: file.name, phase: "hashing", fraction: 0 });
+        up = await uploadInChunks(namespace, file, by, {
+          blind,
+          signal: controller.signal,
+          onProgress: (p) => setUploadProgress({ name: file.name, ...p }),
+        });
+      } else {
+        up = await nfUpload(namespace, file, by, { blind });
+      }
+      if (fileTypeOf(up.key)) {
+        setCloudFiles((prev) => [{ key: up.key, type: fileTypeOf(up.key), uploadedAt: new Date().toISOString() }, ...prev]);
       }
       await handleChooseCloudFile(up.key);
       await refreshCloudList();
     } catch (e) {
-      setError(e.message || "Upload+Load failed");
+      setError(controller.signal.aborted ? "Upload paused. Resume it from the namespace card." : e.message || "Upload+Load failed");
     } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
+      setPendingUpload((await idbGet(uploadRecordKey(namespace))) || null);
       setCloudBusy(false);
       const input = document.getElementById("hiddenUpload");
       if (input) input.value = "";
     }
   };
 
-  // Robust CSV parsing with base64 auto-decode + multiple strategies
-  const loadCSVFromCloud = async (key) => {
+  const pauseUpload = () => uploadAbortRef.current?.abort();
+
+  const resumeUpload = () => {
+    if (pendingUpload?.file) handleCloudUploadThenLoad(pendingUpload.file, { by: pendingUpload.by, blind: pendingUpload.blind });
+  };
+
+  const discardUpload = async () => {
+    const rec = pendingUpload;
+    if (!rec) return;
+    try {
+      await nfChunked(namespace, { upload: rec.uploadId }, { method: "DELETE" });
+    } catch (e) {
+      if (e.status !== 404) {
+        try { console.warn("Discarding upload failed:", e); } catch {}
+      }
+    }
+    await idbDel(uploadRecordKey(namespace));
+    setPendingUpload(null);
+  };
+
+  // Robust parsing off the main thread: CSV (with base64 auto-decode) or one
+  // sheet of an Excel workbook (`sheet`, else the last one picked on this device)
+  const loadCSVFromCloud = async (key, { sheet } = {}) => {
     setCloudBusy(true);
     try {
-      const blob = await nfDownload(key);
-      const raw = await blob.text();          // may be CSV or base64
-      const text = decodeMaybeBase64(raw);    // auto-decode if needed
+      const workbook = isWorkbookKey(key);
+      let raw;
+      if (workbook && workbookRef.current?.key === key) {
+        raw = workbookRef.current.buffer;     // another sheet of the open workbook
+      } else {
+        try {
+          const blob = await nfDownload(key);
+          raw = workbook ? await blob.arrayBuffer() : await blob.text(); // CSV may be base64
+          idbSet(`file:${key}`, raw);         // offline copy
+        } catch (e) {
+          raw = await idbGet(`file:${key}`);
+          if (raw == null) throw e;
+          try { console.log("Using offline copy of", key); } catch {}
+        }
+      }
+      if (workbook) {
+        workbookRef.current = { key, buffer: raw };
+        if (sheet == null) sheet = await idbGet(`sheet:${key}`);
+      }
 
-      const result = parseCSVSmart(text);
+      // parsed in the CSV worker; Cancel aborts it
+      const controller = new AbortController();
+      csvAbortRef.current = controller;
+      setCsvProgress({ rows: 0, fraction: 0 });
+      let result;
+      try {
+        const opts = {
+          signal: controller.signal,
+          onProgress: (rows, fraction) => setCsvProgress({ rows, fraction }),
+        };
+        result = workbook
+          ? await parseWorkbookInBackground(raw, { ...opts, bookId: key, sheet })
+          : await parseCSVInBackground(decodeMaybeBase64(raw), opts);
+      } finally {
+        csvAbortRef.current = null;
+        setCsvProgress(null);
+      }
+      setSheetInfo(workbook ? { sheets: result.sheets, sheet: result.sheet, headerRow: result.headerRow } : null);
 
       if (!result.rows.length) {
         setRows([]);
+        setCsvMeta(null);
         setFileName(key.split("/").pop());
         // DO NOT clear diffs here. loadScansForActive will set diffs.
         setNotFound("");
-        setError(result.reason || "Failed to parse CSV");
+        setCheckDigitWarning("");
+        setError(result.reason || "Failed to parse file");
         return;
       }
 
       setRows(result.rows);
+      setCsvMeta({
+        headers: result.headers,
+        delimiter: result.delimiter,
+        linebreak: result.linebreak,
+        bom: result.bom,
+      });
       setFileName(key.split("/").pop());
       // DO NOT clear diffs here. loadScansForActive will set diffs.
       setNotFound("");
+      setCheckDigitWarning("");
       setError("");
     } catch (e) {
-      setError(e.message || "Load failed");
+      if (e?.name === "AbortError") {
+        setRows([]);
+        setCsvMeta(null);
+        setError("Loading the file was cancelled.");
+      } else {
+        setError(e.message || "Load failed");
+      }
     } finally {
       setCloudBusy(false);
     }
   };
 
-  // Load scans: quick candidates → search all blobs → else set canonical
+  const cancelCSVLoad = () => csvAbortRef.current?.abort();
+
+  // Workbooks: the sheet counted is recorded on the session, so every device
+  // counts the same one; the server refuses a change once there are scans
+  const chooseSheet = (sheet) => {
+    if (!activeKey) return;
+    idbSet(`sheet:${activeKey}`, sheet);
+    changeSessionState("configure", { sheet }); // the effect below loads it
+  };
+
+  // …and a sheet picked on another device is loaded here too
+  useEffect(() => {
+    if (!activeKey || !session?.sheet || !sheetInfo || sheetInfo.sheet === session.sheet) return;
+    if (!sheetInfo.sheets.includes(session.sheet)) return;
+    loadCSVFromCloud(activeKey, { sheet: session.sheet });
+  }, [session?.sheet]);
+
+  // Snapshot at `baseKey` + event log (folded by scan-state), with this device's unsent events on top
+  const adoptServerState = async (fileKey, baseKey) => {
+    let arr = [];
+    try {
+      const state = await nfScanState(fileKey, baseKey);
+      if (Array.isArray(state?.diffs)) arr = state.diffs;
+      setCorrections(Array.isArray(state?.corrections) ? state.corrections : []);
+      idbSet(`scans:${fileKey}`, arr);
+    } catch (e) {
+      // offline: the last state this device saw
+      const cached = await idbGet(`scans:${fileKey}`);
+      if (Array.isArray(cached)) arr = cached;
+      try { console.warn("Scan state failed, using", cached ? "offline copy" : "no scans", e); } catch {}
+    }
+    lastSavedRef.current = JSON.stringify({ diffs: arr });
+    setDiffs(applyScanEvents(arr, pendingFor(fileKey)));
+    return arr;
+  };
+
+  // Load scans from the canonical key (run scans-migrate once for legacy copies)
   const loadScansForActive = async (fileKey) => {
     loadingScansRef.current = true; // 🔒 pause autosave
     try {
-      const quickCandidates = scanKeyCandidates(fileKey, namespace);
+      const key = scansKeyFor(fileKey);
+      resolvedScansKeyRef.current = key;
 
-      for (const key of quickCandidates) {
-        try {
-          const res = await nfGetJSON(key);
-          const arr =
-            (res && Array.isArray(res.diffs) && res.diffs) ||
-            (res && res.data && Array.isArray(res.data.diffs) && res.data.diffs) ||
-            null;
-
-          if (arr) {
-            setDiffs(arr);
-            lastSavedRef.current = JSON.stringify({ diffs: arr });
-            resolvedScansKeyRef.current = key; // remember where we found it
-            try { console.log("Loaded scans from:", key, "count:", arr.length); } catch {}
-            return;
-          }
-        } catch {
-          // keep trying
-        }
-      }
+      const merged = await adoptServerState(fileKey, key);
+      try { console.log("Loaded scans from:", key, "count:", merged.length); } catch {}
+    } finally {
+      loadingScansRef.current = false; // 🔓 resume autosave
+    }
+  };
 
-      // if not found, search all blobs for any scans/<base>.json variants
-      try {
-        const parts = String(fileKey || "").split("/");
-        const filename = parts.pop() || "file.csv";
-        const base = filename.replace(/\.[^.]+$/, "");
-        const targetSuffix = `/scans/${base}.json`;
-
-        const all = await nfListAll(namespace);
-        const candidates = (all.files || [])
-          .filter((f) => {
-            const k = String(f.key || "");
-            return (
-              k.endsWith(targetSuffix) ||
-              k === `scans/${base}.json` ||
-              k === `${namespace}/scans/${base}.json` ||
-              k === `scans/${namespace}/${base}.json`
-            );
-          })
-          .sort((a, b) => {
-            const ta = a.uploadedAt ? new Date(a.uploadedAt).getTime() : 0;
-            const tb = b.uploadedAt ? new Date(b.uploadedAt).getTime() : 0;
-            return tb - ta;
-          });
-
-        for (const f of candidates) {
-          try {
-            const res = await nfGetJSON(f.key);
-            const arr =
-              (res && Array.isArray(res.diffs) && res.diffs) ||
-              (res && res.data && Array.isArray(res.data.diffs) && res.data.diffs) ||
-              null;
-            if (arr) {
-              setDiffs(arr);
-              lastSavedRef.current = JSON.stringify({ diffs: arr });
-              resolvedScansKeyRef.current = f.key; // lock discovered key
-              try { console.log("Loaded scans (discovered) from:", f.key, "count:", arr.length); } catch {}
-              return;
-            }
-          } catch {
-            // try next
-          }
+  const refreshSession = async (fileKey) => {
+    try {
+      const out = await nfGetSession(fileKey);
+      setSession(out.session || null);
+      idbSet(`session:${fileKey}`, out.session || null);
+      return out.session || null;
+    } catch (e) {
+      const cached = (await idbGet(`session:${fileKey}`)) || null;
+      setSession(cached);
+      try { console.warn("Load session failed:", e); } catch {}
+      return cached;
+    }
+  };
+
+  const changeSessionState = async (action, extra) => {
+    if (!activeKey) return;
+    // finalized without totals: a finalize was cut short, sending it again finishes it
+    const finishing = action === "finalize" && session?.state === "finalized";
+    // wall-to-wall counts: the server records anything not found as 0 before freezing
+    const zeroing = action === "finalize" && (finishing ? !!session.zeroUncounted : zeroUncounted) && !!cols;
+    const zeroTargets = zeroing ? uncountedRows.filter((r) => String(r[cols.barcode] ?? "").trim()) : [];
+    if (
+      action === "finalize" &&
+      !finishing &&
+      !window.confirm(
+        zeroTargets.length
+          ? `Record ${zeroTargets.length} uncounted item(s) as actual 0, then finalize? ` +
+              "This can't be undone: scans become read-only and the results are frozen."
+          : "Finalize this count? Scans become read-only and the results are frozen."
+      )
+    ) {
+      return;
+    }
+    setCloudBusy(true);
+    try {
+      const zero = zeroing && (finishing || zeroTargets.length);
+      // the frozen snapshot must include everything scanned on this device
+      if (action === "finalize") await flushPendingEvents();
+      // zeroing: the first call only stops the session taking scans
+      const first = zero ? { zeroUncounted: [], more: true } : {};
+      let out = await nfSessionAction(activeKey, action, counter.trim(), { ...extra, ...first });
+      if (zero) {
+        // what nobody counted, colleagues included, now that it can't change
+        const { diffs: latest } = await nfScanState(activeKey);
+        const items = uncountedOf(rows, cols, Array.isArray(latest) ? latest : [])
+          .filter((r) => String(r[cols.barcode] ?? "").trim())
+          .map((r) => ({
+            barcode: String(r[cols.barcode]).trim(),
+            name: String(r[cols.name] ?? "").trim(),
+            onHand: toNumber(r[cols.onHand]),
+            reserved: toNumber(r[cols.reserved]),
+          }));
+        for (let i = 0; out.finishing; i += ZERO_PER_CALL) {
+          const more = i + ZERO_PER_CALL < items.length;
+          const slice = items.slice(i, i + ZERO_PER_CALL);
+          out = await nfSessionAction(activeKey, action, counter.trim(), { zeroUncounted: slice, more });
+          if (!more) break;
         }
-      } catch (e) {
-        try { console.warn("Search for scans failed:", e); } catch {}
       }
-
-      // nothing found — start fresh and pick canonical for future saves
-      setDiffs([]);
-      lastSavedRef.current = JSON.stringify({ diffs: [] });
-      resolvedScansKeyRef.current = scansKeyFor(fileKey);
-      try { console.log("No saved scans found. Will use:", resolvedScansKeyRef.current); } catch {}
+      if (out.finishing) throw new Error("Finalize did not finish: use Finish finalizing to try again");
+      setSession(out.session);
+      if (zeroTargets.length) setZeroUncounted(false);
+      if (action === "finalize") await loadScansForActive(activeKey); // show the frozen snapshot
+    } catch (e) {
+      setError(e.message || "Session update failed");
+      await refreshSession(activeKey);
     } finally {
-      loadingScansRef.current = false; // 🔓 resume autosave
+      setCloudBusy(false);
     }
   };
 
   const handleChooseCloudFile = async (key) => {
     setActiveKey(key);
+    setSession(null);
+    setUndoStack([]); // undo is per file
+    setCorrections([]);
     loadingScansRef.current = true; // 🔒 pause autosave across the whole select flow
     try {
-      await loadCSVFromCloud(key);      // do NOT clear diffs here
+      const s = await refreshSession(key);
+      await loadCSVFromCloud(key, { sheet: s?.sheet }); // do NOT clear diffs here
       await loadScansForActive(key);    // will set diffs from server
       barcodeRef.current?.focus();
     } finally {
@@ -498,42 +1622,44 @@ export default function InventoryScannerApp() {
     }
   };
 
-  // Debounced auto-save of scans — save to resolved key first, mirror to others, then verify
+  // Debounced auto-save — append queued events to the log, then pull the merged
+  // state (colleagues' counts included). The snapshot is never written back:
+  // the server folds it from the log.
   useEffect(() => {
     if (!activeKey) return;
     if (loadingScansRef.current) return; // ⛔️ don’t autosave during load
+    if (readOnly && !pendingFor(activeKey).length) return; // finalized: nothing to save
+    if (!online) return; // queued in IndexedDB; the "online" event retries
 
     const payload = JSON.stringify({ diffs });
-    if (payload === lastSavedRef.current) return;
+    if (payload === lastSavedRef.current && !pendingFor(activeKey).length) return;
 
     let cancelled = false;
     const timer = setTimeout(async () => {
       if (cancelled) return;
       try {
         setSaving(true);
-        const allKeys = scanKeyCandidates(activeKey, namespace);
-        const primary = resolvedScansKeyRef.current || allKeys[0];
-        const others = allKeys.filter((k) => k !== primary);
+        const primary = scansKeyFor(activeKey);
 
-        await nfPutJSON(primary, { diffs }); // write main
-        await Promise.allSettled(others.map((k) => nfPutJSON(k, { diffs }))); // mirror
+        await flushPendingEvents();
 
-        // Read-after-write verify and set state from the verified payload
-        try {
-          const verify = await nfGetJSON(primary);
-          const arr =
-            (verify && Array.isArray(verify.diffs) && verify.diffs) ||
-            (verify && verify.data && Array.isArray(verify.data.diffs) && verify.data.diffs) ||
-            [];
-          setDiffs(arr); // ensure UI mirrors server
-          console.log("Verified saved count:", arr.length, "at", primary);
-        } catch (e) {
-          console.warn("Post-save verify failed:", e);
+        const state = await nfScanState(activeKey, primary);
+        const server = Array.isArray(state?.diffs) ? state.diffs : [];
+        if (Array.isArray(state?.corrections)) setCorrections(state.corrections);
+
+        if (state?.finalized) {
+          // frozen results: show them, never write over them
+          lastSavedRef.current = JSON.stringify({ diffs: server });
+          setDiffs(server);
+          if (!readOnly) await refreshSession(activeKey);
+          return;
         }
 
-        lastSavedRef.current = payload;
+        lastSavedRef.current = JSON.stringify({ diffs: server });
         resolvedScansKeyRef.current = primary;
-        try { console.log("Saved scans to:", [primary, ...others]); } catch {}
+        idbSet(`scans:${activeKey}`, server);
+        setDiffs(applyScanEvents(server, pendingFor(activeKey))); // keep anything scanned meanwhile
+        try { console.log("Synced scans of:", activeKey, "count:", server.length); } catch {}
       } catch (e) {
         console.warn("Save JSON failed:", e);
       } finally {
@@ -545,49 +1671,104 @@ export default function InventoryScannerApp() {
       cancelled = true;
       clearTimeout(timer);
     };
-  }, [activeKey, diffs, namespace]);
+  }, [activeKey, diffs, readOnly, online, syncTick]);
 
   // Scanning & actions
   const onBarcodeScan = (e) => {
     if (e.key !== "Enter") return;
-    const scanned = e.currentTarget.value;
-    const candidates = normVariants(scanned);
-    if (!candidates.length) return;
+    handleScannedCode(e.currentTarget.value);
+    e.currentTarget.select();
+  };
+
+  // Shared by the wedge-scanner field and the camera
+  const handleScannedCode = (scanned) => {
+    if (readOnly) return;
+    const candidates = barcodeKeys(scanned);
+    if (!candidates[0]) return;
     if (!cols) {
       setError("Missing required columns: Barcode, Name, and On Hand.");
       return;
     }
+    if (!index) {
+      setError("Still indexing the file, scan again in a moment.");
+      return;
+    }
+    const info = classifyBarcode(scanned);
+    setCheckDigitWarning(info.valid === false ? info.code : "");
 
-    let r = null;
+    let hit = null;
     for (const k of candidates) {
-      r = index.get(k);
-      if (r) break;
+      hit = index.get(k);
+      if (hit) break;
     }
 
-    if (!r) {
+    if (!hit) {
       setActive(null);
+      // not an item: maybe a location label ("LOC:A-01" / "BIN-A-01" or a value of the location column)
+      const raw = String(scanned ?? "").trim();
+      const loc = raw.match(/^(?:loc|bin)[:-](.+)$/i)?.[1].trim() || knownLocations.get(raw.toLowerCase());
+      if (loc) {
+        setCountLocation(loc);
+        setCheckDigitWarning("");
+        setNotFound("");
+        return;
+      }
       setNotFound(candidates[0]);
-      e.currentTarget.select();
       return;
     }
 
+    openItem(hit.row, { pack: hit.pack });
+  };
+
+  // Scan and search hits both end here. `via: "search"` always gets the dialog,
+  // since a picked search result is one item, not a unit to tally.
+  const openItem = (r, { pack = null, via = "scan" } = {}) => {
     const item = {
       barcode: String(r[cols.barcode] ?? "").trim(),
       name: String(r[cols.name] ?? "").trim(),
       onHand: toNumber(r[cols.onHand]),
       reserved: toNumber(r[cols.reserved]),
+      cost: cols.cost ? toNumber(r[cols.cost]) : 0,
+      pack, // { label, size, barcode } when a pack barcode was scanned
+      via,
+      location: countLocation,
     };
+    // what other bins already hold, so the dialog can expect the rest here; a
+    // count without a location is of the whole item (see aggregateItems)
+    item.elsewhere = item.location
+      ? diffs.filter((x) => x.barcode === item.barcode && x.location && !sameEntry(x, item)).reduce((n, x) => n + x.actual, 0)
+      : 0;
+    const recount = diffs.find((x) => sameEntry(x, item))?.recount === "pending";
+    if (countMode === "tally" && !recount && via === "scan") {
+      // a recount must be an independent count, so those still get the dialog
+      addToTally(item, (toNumber(packQty) || 1) * (item.pack?.size || 1));
+      setNotFound("");
+      return;
+    }
     setActive(item);
-    setActualQty(String(item.onHand));
+    // blind counts and recounts start empty so nobody just accepts a number;
+    // pack scans are entered in packs, so only prefill whole packs
+    const expected = item.onHand - item.elsewhere;
+    const prefill = expected < 0 ? NaN : item.pack ? expected / item.pack.size : expected;
+    setActualQty(hideExpected || recount || !Number.isInteger(prefill) ? "" : String(prefill));
     setNotFound("");
-    e.currentTarget.select();
   };
 
-  const confirmQty = (actual) => {
-    if (!active) return;
+  // Which pack (if any) a scan went through, recorded with the entry
+  const packFields = (item, packCount = null) => ({
+    pack: item.pack?.label ?? null,
+    packSize: item.pack?.size ?? null,
+    packCount: item.pack ? packCount : null,
+    scannedBarcode: item.pack?.barcode ?? null,
+  });
+
+  // `actual` is in base units; `packCount` is what was typed for a pack scan
+  const confirmQty = (actual, packCount = null) => {
+    if (!active || readOnly) return;
+    if (String(actual ?? "").trim() === "") return; // blind counts start empty: require a number
     const prev = active.onHand;
     const delta = toNumber(actual) - toNumber(prev);
-    const entry = {
+    let entry = {
       barcode: active.barcode,
       name: active.name,
       prevOnHand: prev,
@@ -595,65 +1776,370 @@ export default function InventoryScannerApp() {
       actual: toNumber(actual),
       delta,
       ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      ...packFields(active, packCount),
+      source: active.via === "search" ? "search" : null, // barcode couldn't be scanned
+      location: active.location,
     };
-    setDiffs((d) => {
-      const others = d.filter((x) => x.barcode !== entry.barcode);
-      return [entry, ...others];
-    });
+
+    const earlier = diffs.find((x) => sameEntry(x, active));
+    if (earlier?.recount === "pending") {
+      // second count settles it; the recount wins unless it agrees with the first
+      entry = {
+        ...entry,
+        recount: "done",
+        firstActual: earlier.actual,
+        firstCounter: earlier.counter || "",
+        firstTs: earlier.ts,
+        accepted: entry.actual === earlier.actual ? "first" : "second",
+      };
+    } else if (needsRecount(delta + active.elsewhere, prev, active.cost, session?.tolerance)) {
+      // tolerance applies to the item total over all locations
+      entry.recount = "pending";
+    }
+
+    if (activeKey) queueEvent(activeKey, { type: "count", ...entry });
+    pushUndo({ label: `count of ${entry.name}`, eventId: entry.id, entries: [{ before: earlier || null, after: entry }] });
+    setDiffs((d) => applyScanEvents(d, [entry]));
     setActive(null);
   };
 
+  // Dialog save: pack scans are typed in packs and stored in base units
+  const saveActual = () => {
+    if (!active?.pack || String(actualQty).trim() === "") return confirmQty(actualQty);
+    confirmQty(toNumber(actualQty) * active.pack.size, toNumber(actualQty));
+  };
+
+  // Scan-to-count: each scan adds `qty` to the item's running tally
+  const addToTally = (item, qty) => {
+    const ev = {
+      type: "add",
+      barcode: item.barcode,
+      name: item.name,
+      prevOnHand: item.onHand,
+      reserved: item.reserved,
+      qty,
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      ...packFields(item),
+      source: null,
+      location: item.location,
+    };
+    if (activeKey) queueEvent(activeKey, ev);
+    const actual = (diffs.find((x) => sameEntry(x, item))?.actual ?? 0) + qty;
+    setDiffs((d) => applyScanEvents(d, [ev]));
+    setTallyHistory((h) => [{ barcode: item.barcode, name: item.name, qty, actual, item }, ...h].slice(0, 50));
+    // undone with a compensating add, so other counters' adds meanwhile are kept
+    pushUndo({ label: `+${qty} ${item.name}`, eventId: ev.id, add: { ...ev, qty: -qty }, tally: true });
+  };
+
+  const pushUndo = (action) => setUndoStack((u) => [action, ...u].slice(0, 20));
+
+  // Undo the last action by appending events that reverse it (the log stays
+  // append-only): a count/edit/delete puts the entry back as it was, a tally
+  // scan gets a compensating add, a reset restores every entry it cleared.
+  // Undoing a count re-sends the value from before it, so first check (against
+  // the server's state when online) that nobody has changed the entry since
+  const undoLast = async () => {
+    const last = undoStack[0];
+    if (!last || readOnly || undoingRef.current) return;
+    undoingRef.current = true;
+    try {
+      if (last.entries && !(await confirmUndoOver(last.entries))) return;
+      applyUndo(last);
+    } finally {
+      undoingRef.current = false;
+    }
+  };
+
+  const confirmUndoOver = async (entries) => {
+    let current = diffs;
+    if (activeKey && online) {
+      try {
+        await flushPendingEvents();
+        const state = await nfScanState(activeKey, scansKeyFor(activeKey));
+        if (Array.isArray(state?.diffs)) current = applyScanEvents(state.diffs, pendingFor(activeKey));
+      } catch (e) {
+        try { console.warn("Undo check used the local state:", e); } catch {}
+      }
+    }
+    const changed = [];
+    for (const { before, after } of entries) {
+      const cur = current.find((x) => sameEntry(x, after || before));
+      // the entry should still be what the action left: `after`, or nothing
+      if (after ? cur?.id !== after.id : cur) changed.push({ item: after || before, cur });
+    }
+    if (!changed.length) return true;
+    const [{ item, cur }] = changed;
+    return window.confirm(
+      (changed.length === 1
+        ? `${item.name || item.barcode} changed since (${cur ? `now ${cur.actual}${cur.counter ? ` by ${cur.counter}` : ""}` : "deleted"}). `
+        : `${changed.length} of these entries changed since. `) + "Undo anyway and overwrite the newer count?"
+    );
+  };
+
+  const applyUndo = (last) => {
+    const meta = {
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      clientId: clientIdRef.current,
+      correction: "undo",
+      undoes: last.eventId, // counters may only undo their own events
+    };
+    // undoing a reset restores many entries: one event (and id) each
+    const events = last.add
+      ? [{ ...last.add, ...meta, id: newEventId() }]
+      : last.entries.map(({ before, after }) =>
+          before
+            ? { type: "count", ...before, ...meta, id: newEventId(), prevActual: after?.actual ?? null }
+            : { type: "delete", barcode: after.barcode, location: after.location || "", name: after.name, ...meta, id: newEventId(), prevActual: after.actual }
+        );
+    if (activeKey) queueEvents(activeKey, events);
+    setDiffs((d) => applyScanEvents(d, events));
+    setCorrections((c) => [...events, ...c]);
+    setUndoStack((u) => u.filter((a) => a !== last));
+    if (last.tally) setTallyHistory((h) => h.slice(1));
+    barcodeRef.current?.focus();
+  };
+
+  // Correct one history entry; the previous value stays in the audit trail
+  const saveEdit = () => {
+    if (!editDraft || readOnly) return;
+    if (String(editDraft.actual ?? "").trim() === "") return;
+    const before = editDraft.entry;
+    const actual = toNumber(editDraft.actual);
+    const entry = {
+      ...before,
+      actual,
+      delta: actual - (before.prevOnHand ?? 0),
+      packCount: null, // no longer what was typed in packs
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      correction: "edit",
+      prevActual: before.actual,
+    };
+    if (activeKey) queueEvent(activeKey, { type: "count", ...entry });
+    setDiffs((d) => applyScanEvents(d, [entry]));
+    setCorrections((c) => [{ type: "count", ...entry }, ...c]);
+    pushUndo({ label: `edit of ${before.name || before.barcode}`, eventId: entry.id, entries: [{ before, after: entry }] });
+    setEditDraft(null);
+  };
+
+  const deleteEntry = (d) => {
+    if (readOnly) return;
+    const ev = {
+      type: "delete",
+      barcode: d.barcode,
+      location: d.location || "",
+      name: d.name,
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      correction: "delete",
+      prevActual: d.actual,
+    };
+    if (activeKey) queueEvent(activeKey, ev);
+    setDiffs((x) => applyScanEvents(x, [ev]));
+    setCorrections((c) => [ev, ...c]);
+    pushUndo({ label: `delete of ${d.name || d.barcode}`, eventId: ev.id, entries: [{ before: d, after: null }] });
+  };
+
+  // Record a barcode that isn't in the CSV so purchasing can create the SKU
+  const confirmUnknown = () => {
+    if (!unknownDraft || readOnly) return;
+    if (String(unknownDraft.actual ?? "").trim() === "") return;
+    const actual = toNumber(unknownDraft.actual);
+    const entry = {
+      barcode: unknownDraft.barcode,
+      name: unknownDraft.description.trim(),
+      prevOnHand: 0,
+      reserved: 0,
+      actual,
+      delta: actual,
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      unknown: true,
+      note: unknownDraft.note.trim(),
+      location: countLocation,
+    };
+    if (activeKey) queueEvent(activeKey, { type: "count", ...entry });
+    pushUndo({
+      label: `unknown item ${entry.barcode}`,
+      eventId: entry.id,
+      entries: [{ before: diffs.find((x) => sameEntry(x, entry)) || null, after: entry }],
+    });
+    setDiffs((d) => applyScanEvents(d, [entry]));
+    setUnknownDraft(null);
+    setNotFound("");
+    barcodeRef.current?.focus();
+  };
+
   const clearAll = () => {
+    if (readOnly || !diffs.length) return;
+    if (
+      !window.confirm(
+        `Delete all ${diffs.length} scan entries of this file — for every counter, not just you? ` +
+          "You can still undo it from this device."
+      )
+    ) {
+      return;
+    }
+    const ev = {
+      type: "reset",
+      ts: new Date().toISOString(),
+      counter: counter.trim(),
+      id: newEventId(),
+      clientId: clientIdRef.current,
+      correction: "reset",
+      cleared: diffs.length,
+    };
+    if (activeKey) queueEvent(activeKey, ev);
+    setCorrections((c) => [ev, ...c]);
+    pushUndo({ label: "reset", eventId: ev.id, entries: diffs.map((d) => ({ before: d, after: null })) });
     setDiffs([]);
     setActive(null);
     setNotFound("");
+    setCheckDigitWarning("");
     barcodeRef.current?.focus();
   };
 
-  const exportDifferencesCSV = () => {
-    const data = diffs
-      .filter((d) => d.delta !== 0)
-      .map((d) => ({
-        Barcode: d.barcode,
-        Name: d.name,
-        "Prev On Hand": d.prevOnHand,
-        Reserved: d.reserved,
-        "Actual On Hand": d.actual,
-        Delta: d.delta,
-        Timestamp: d.ts,
-      }));
-    const csv = Papa.unparse(data);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
+  // Aggregated variance: one row per item, locations summed
+  const exportDifferencesCSV = () => {
+    const data = knownItems.filter((d) => d.delta !== 0).map((d) => scanExportRow(d));
+    const stem = fileName?.replace(/\.[^.]+$/, "") || "inventory";
+    downloadCSV(Papa.unparse(data), `${stem}_differences.csv`);
+  };
+
+  // Per-location detail: one row per (barcode, location) count, or with
+  // "full history" one row per count made, oldest first
+  const exportAllScansCSV = () => {
+    const stem = fileName?.replace(/\.[^.]+$/, "") || "inventory";
+    if (exportHistory === "latest") {
+      const data = knownDiffs.map((d) => scanExportRow(d, { hideExpected, item: itemByBarcode.get(d.barcode) }));
+      downloadCSV(Papa.unparse(data), `${stem}_all_scans.csv`);
+      return;
+    }
+    const data = [];
+    for (const d of knownDiffs) {
+      const steps = historyOf(d);
+      steps.forEach((h, i) => {
+        data.push({
+          Barcode: d.barcode,
+          Name: d.name,
+          Location: d.location || "",
+          Step: i + 1,
+          Event: h.type,
+          "Qty Added": h.qty ?? "",
+          "Actual After": h.actual,
+          Counter: h.counter || "",
+          Timestamp: h.ts,
+          Latest: i === steps.length - 1 ? "yes" : "",
+        });
+      });
+    }
+    downloadCSV(Papa.unparse(data), `${stem}_scan_history.csv`);
+  };
+
+  // Same file as loaded (headers, delimiter, column order) with On Hand = counted actual
+  const exportWriteBackCSV = () => {
+    if (!cols || !rows.length) return;
+    const csv = buildWriteBackCSV(rows, cols, aggregateItems(diffs), csvMeta, { countedOnly: writeBackCountedOnly });
     const stem = fileName?.replace(/\.[^.]+$/, "") || "inventory";
-    a.download = `${stem}_differences.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV(csv, `${stem}_updated.csv`);
   };
 
-  const exportAllScansCSV = () => {
-    const data = diffs.map((d) => ({
+  const exportUncountedCSV = () => {
+    const extra = [
+      ["SKU", cols.sku],
+      ["Location", cols.location],
+      ["Category", cols.category],
+    ].filter(([, h]) => h);
+    const data = filteredUncounted.map((r) => {
+      const row = { Barcode: r[cols.barcode], Name: r[cols.name] };
+      if (!hideExpected) {
+        row["On Hand"] = toNumber(r[cols.onHand]);
+        row.Reserved = toNumber(r[cols.reserved]);
+      }
+      for (const [label, h] of extra) row[label] = r[h] ?? "";
+      return row;
+    });
+    const stem = fileName?.replace(/\.[^.]+$/, "") || "inventory";
+    downloadCSV(Papa.unparse(data), `${stem}_uncounted.csv`);
+  };
+
+  const exportUnknownCSV = () => {
+    const data = unknownDiffs.map((d) => ({
       Barcode: d.barcode,
-      Name: d.name,
-      "Prev On Hand": d.prevOnHand,
-      Reserved: d.reserved,
-      "Actual On Hand": d.actual,
-      Delta: d.delta,
+      Description: d.name,
+      Location: d.location || "",
+      Quantity: d.actual,
+      Note: d.note || "",
+      Counter: d.counter || "",
       Timestamp: d.ts,
     }));
-    const csv = Papa.unparse(data);
-    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
     const stem = fileName?.replace(/\.[^.]+$/, "") || "inventory";
-    a.download = `${stem}_all_scans.csv`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadCSV(Papa.unparse(data), `${stem}_unknown_items.csv`);
   };
 
+  const knownDiffs = useMemo(() => diffs.filter((d) => !isUnknown(d)), [diffs]);
+  const unknownDiffs = diffs.filter(isUnknown);
+  // item totals over all locations: what On Hand is compared with
+  const knownItems = useMemo(() => aggregateItems(knownDiffs), [knownDiffs]);
+  const awaitingRecount = useMemo(() => knownItems.filter((d) => d.recount === "pending").length, [knownItems]);
+  const itemByBarcode = useMemo(() => new Map(knownItems.map((it) => [it.barcode, it])), [knownItems]);
+
+  // Recent Scans as shown: filtered, sorted, and rendered a window at a time.
+  // Blind counts can't filter or sort on what they aren't shown.
+  const deferredScanFilter = useDeferredValue(scanFilter);
+  const scanCounters = useMemo(() => [...new Set(knownDiffs.map((d) => d.counter).filter(Boolean))].sort(), [knownDiffs]);
+  const tableDiffs = useMemo(() => {
+    const itemOf = (d) => itemByBarcode.get(d.barcode);
+    const f = hideExpected ? { ...deferredScanFilter, variance: "all" } : deferredScanFilter;
+    const sort = hideExpected && (scanSort.key === "delta" || scanSort.key === "prevOnHand") ? { key: "ts", dir: "desc" } : scanSort;
+    return sortScans(filterScans(knownDiffs, f, itemOf), sort, itemOf);
+  }, [knownDiffs, itemByBarcode, deferredScanFilter, scanSort, hideExpected]);
+  const rowWindow = useWindowedRows(tableDiffs.length);
+  useEffect(() => {
+    rowWindow.scrollToTop();
+  }, [deferredScanFilter, scanSort]);
+
+  // text columns sort A→Z first, numbers and times largest/newest first
+  const toggleScanSort = (key) =>
+    setScanSort((s) =>
+      s.key === key
+        ? { key, dir: s.dir === "asc" ? "desc" : "asc" }
+        : { key, dir: ["barcode", "name", "location", "counter"].includes(key) ? "asc" : "desc" }
+    );
+
+  const uncountedRows = useMemo(() => (cols ? uncountedOf(rows, cols, diffs) : []), [rows, cols, diffs]);
+
+  const filteredUncounted = useMemo(() => {
+    const q = foldText(uncountedFilter);
+    if (!q) return uncountedRows;
+    const fields = [cols?.barcode, cols?.name, cols?.sku, cols?.location, cols?.category].filter(Boolean);
+    return uncountedRows.filter((r) => foldText(fields.map((f) => r[f] ?? "").join(" ")).includes(q));
+  }, [uncountedRows, uncountedFilter, cols]);
+
+  const activeRecount = active ? diffs.find((x) => sameEntry(x, active) && x.recount === "pending") : null;
+
+  const saveTolerance = () =>
+    changeSessionState("configure", {
+      tolerance: {
+        abs: toleranceDraft.abs === "" ? null : toleranceDraft.abs,
+        pct: toleranceDraft.pct === "" ? null : toleranceDraft.pct,
+        value: toleranceDraft.value === "" ? null : toleranceDraft.value,
+      },
+    });
+
   /* ─────────────────────────────
      UI (mobile-first responsive)
      ───────────────────────────── */
@@ -672,20 +2158,57 @@ export default function InventoryScannerApp() {
           </div>
           <div className="flex flex-wrap gap-2">
             {saving && <span className="text-xs text-gray-500 self-center">Saving…</span>}
+            <Badge variant={online ? "secondary" : "default"} className="self-center">
+              {online ? "Online" : "Offline"}
+              {pendingCount > 0 ? ` · ${pendingCount} pending sync` : ""}
+            </Badge>
             {resolvedScansKeyRef.current && (
               <Badge variant="outline" className="self-center max-w-[50vw] truncate">
                 scans: {resolvedScansKeyRef.current}
               </Badge>
             )}
-            <Button variant="outline" onClick={clearAll} className="gap-2">
+            <Button
+              variant="outline"
+              onClick={undoLast}
+              className="gap-2"
+              disabled={readOnly || !undoStack.length}
+              title={undoStack[0] ? `Undo ${undoStack[0].label}` : "Nothing to undo"}
+            >
+              <Undo2 className="h-4 w-4" /> Undo{undoStack.length > 1 ? ` (${undoStack.length})` : ""}
+            </Button>
+            {supervisor && (
+              <>
+            <Button variant="outline" onClick={clearAll} className="gap-2" disabled={readOnly || !diffs.length}>
               <RefreshCw className="h-4 w-4" /> Reset
             </Button>
-            <Button onClick={exportDifferencesCSV} className="gap-2" disabled={!diffs.length}>
+            <Button onClick={exportDifferencesCSV} className="gap-2" disabled={!knownDiffs.length || hideExpected}>
               <Download className="h-4 w-4" /> Diff CSV
             </Button>
-            <Button variant="secondary" onClick={exportAllScansCSV} className="gap-2" disabled={!diffs.length}>
+            <Button variant="secondary" onClick={exportAllScansCSV} className="gap-2" disabled={!knownDiffs.length}>
               <FileSpreadsheet className="h-4 w-4" /> All Scans
             </Button>
+            <select
+              aria-label="All Scans export"
+              className="border rounded-xl p-1 text-xs self-center"
+              value={exportHistory}
+              onChange={(e) => setExportHistory(e.target.value)}
+            >
+              <option value="latest">latest only</option>
+              <option value="full">full history</option>
+            </select>
+            <Button variant="secondary" onClick={exportWriteBackCSV} className="gap-2" disabled={!cols || !knownDiffs.length || hideExpected}>
+              <FileSpreadsheet className="h-4 w-4" /> Updated CSV
+            </Button>
+            <label className="flex items-center gap-1 text-xs text-gray-600 self-center">
+              <input
+                type="checkbox"
+                checked={writeBackCountedOnly}
+                onChange={(e) => setWriteBackCountedOnly(e.target.checked)}
+              />
+              counted rows only
+            </label>
+              </>
+            )}
           </div>
         </header>
 
@@ -702,38 +2225,126 @@ export default function InventoryScannerApp() {
 <div className="space-y-2">
   <Label htmlFor="ns" className="text-xs sm:text-sm">Namespace</Label>
 
-  {/* ▼ dropdown instead of free text */}
+  {/* ▼ namespaces from the registry; archived ones are left out */}
   <select
     id="ns"
     className="w-full border rounded-xl p-2 text-sm"
     value={namespace}
     onChange={(e) => setNamespace(e.target.value)}
   >
-    <option value="Jeddah">Jeddah</option>
-    <option value="Riyadh">Riyadh</option>
-    <option value="Dammam">Dammam</option>
+    {!activeNamespaces.some((n) => n.id === namespace) && <option value={namespace}>{nsInfo?.name || namespace || "—"}</option>}
+    {activeNamespaces.map((n) => (
+      <option key={n.id} value={n.id}>
+        {n.name || n.id}
+      </option>
+    ))}
   </select>
 
-  <div className="flex flex-wrap gap-2">
-    <Button variant="outline" onClick={refreshCloudList} disabled={cloudBusy} className="flex-1 sm:flex-none">
-      Refresh
-    </Button>
-    <Button
-      variant="secondary"
-      onClick={() => document.getElementById("hiddenUpload").click()}
-      disabled={cloudBusy}
-      className="flex-1 sm:flex-none"
-    >
-      Upload
-    </Button>
-    <input
-      id="hiddenUpload"
-      type="file"
-      accept=".csv"
-      className="hidden"
-      onChange={(e) => handleCloudUploadThenLoad(e.target.files?.[0])}
-    />
-  </div>
+  {!auth ? (
+    <form className="flex gap-2" onSubmit={signIn}>
+      <Input
+        type="password"
+        inputMode="numeric"
+        autoComplete="current-password"
+        placeholder={`PIN for ${namespace}`}
+        value={pinDraft}
+        onChange={(e) => setPinDraft(e.target.value)}
+      />
+      <Button type="submit" disabled={cloudBusy || !pinDraft}>
+        Sign in
+      </Button>
+    </form>
+  ) : (
+    <>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        <span>
+          Signed in as <strong>{role}</strong>
+        </span>
+        {isAdmin && (
+          <>
+            <Button size="sm" variant="outline" onClick={openAccess}>
+              PINs
+            </Button>
+            <Button size="sm" variant="outline" onClick={openNamespaces}>
+              Namespaces
+            </Button>
+          </>
+        )}
+        <Button size="sm" variant="outline" onClick={signOut}>
+          Sign out
+        </Button>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button variant="outline" onClick={refreshCloudList} disabled={cloudBusy} className="flex-1 sm:flex-none">
+          Refresh
+        </Button>
+        {isAdmin && (
+          <>
+            <Button
+              variant="secondary"
+              onClick={() => document.getElementById("hiddenUpload").click()}
+              disabled={cloudBusy}
+              className="flex-1 sm:flex-none"
+            >
+              Upload
+            </Button>
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              <input type="checkbox" checked={blindUploads} onChange={(e) => setBlindUploads(e.target.checked)} />
+              blind count
+            </label>
+            <input
+              id="hiddenUpload"
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={(e) => handleCloudUploadThenLoad(e.target.files?.[0])}
+            />
+          </>
+        )}
+      </div>
+    </>
+  )}
+
+  {uploadProgress && (
+    <div className="grid gap-1">
+      <div className="flex items-center justify-between gap-2 text-xs text-gray-600">
+        <span className="truncate">
+          {uploadProgress.phase === "hashing"
+            ? `Checking ${uploadProgress.name}…`
+            : uploadProgress.phase === "assembling"
+            ? `Finishing ${uploadProgress.name}…`
+            : `Uploading ${uploadProgress.name}… ${Math.round(uploadProgress.fraction * 100)}%`}
+        </span>
+        {uploadProgress.phase === "uploading" && (
+          <Button size="sm" variant="outline" onClick={pauseUpload}>
+            Pause
+          </Button>
+        )}
+      </div>
+      <div className="h-1.5 rounded-full bg-gray-200 overflow-hidden">
+        <div className="h-full bg-gray-800 transition-all" style={{ width: `${Math.round(uploadProgress.fraction * 100)}%` }} />
+      </div>
+    </div>
+  )}
+  {!uploadProgress && pendingUpload && isAdmin && (
+    <div className="flex flex-wrap items-center gap-2 rounded-xl border border-amber-300 bg-amber-50 p-2 text-xs text-amber-900">
+      <span className="flex-1 min-w-0 truncate">Unfinished upload: {pendingUpload.name}</span>
+      <Button size="sm" variant="outline" disabled={cloudBusy || !pendingUpload.file} onClick={resumeUpload}>
+        Resume
+      </Button>
+      <Button size="sm" variant="outline" disabled={cloudBusy} onClick={discardUpload}>
+        Discard
+      </Button>
+    </div>
+  )}
+
+  <Label htmlFor="counter" className="text-xs sm:text-sm">Counter</Label>
+  <Input
+    id="counter"
+    placeholder="Your name"
+    value={counter}
+    onChange={(e) => setCounter(e.target.value)}
+  />
 </div>
 
                 <div className="md:col-span-2 space-y-2">
@@ -745,15 +2356,66 @@ export default function InventoryScannerApp() {
                       onChange={(e) => handleChooseCloudFile(e.target.value)}
                     >
                       <option value="">Choose...</option>
-                      {cloudFiles.map((f) => (
-                        <option key={f.key} value={f.key}>
-                          {f.key.split("/").pop()}
-                          {f.uploadedAt ? ` — ${new Date(f.uploadedAt).toLocaleString()}` : ""}
-                        </option>
-                      ))}
+                      {FILE_GROUPS.map(({ label, types }) => {
+                        const files = cloudFiles.filter((f) => types.includes(f.type || fileTypeOf(f.key)));
+                        if (!files.length) return null;
+                        return (
+                          <optgroup key={label} label={label}>
+                            {files.map((f) => (
+                              <option key={f.key} value={f.key}>
+                                {f.key.split("/").pop()}
+                                {f.uploadedAt ? ` — ${when(f.uploadedAt)}` : ""}
+                              </option>
+                            ))}
+                          </optgroup>
+                        );
+                      })}
                     </select>
                   </div>
                   {fileName && <Badge variant="secondary" className="text-xs">{fileName}</Badge>}
+                  {sheetInfo && !csvProgress && (
+                    <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                      {sheetInfo.sheets.length > 1 && (
+                        <select
+                          aria-label="Sheet"
+                          className="border rounded-xl p-1 text-xs"
+                          value={sheetInfo.sheet}
+                          disabled={cloudBusy || !supervisor || readOnly || diffs.length > 0}
+                          title={diffs.length ? "The sheet is fixed once counting has started" : undefined}
+                          onChange={(e) => chooseSheet(e.target.value)}
+                        >
+                          {sheetInfo.sheets.map((name) => (
+                            <option key={name} value={name}>
+                              {name}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {sheetInfo.headerRow && (
+                        <span>
+                          {sheetInfo.sheets.length > 1 ? "" : `Sheet “${sheetInfo.sheet}”, `}headers on row {sheetInfo.headerRow}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {csvProgress && (
+                    <div className="grid gap-1">
+                      <div className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                        <span>
+                          Reading CSV… {csvProgress.rows.toLocaleString()} rows ({Math.round(csvProgress.fraction * 100)}%)
+                        </span>
+                        <Button size="sm" variant="outline" onClick={cancelCSVLoad}>
+                          Cancel
+                        </Button>
+                      </div>
+                      <div className="h-1.5 rounded-full bg-gray-200 overflow-hidden">
+                        <div className="h-full bg-gray-800 transition-all" style={{ width: `${Math.round(csvProgress.fraction * 100)}%` }} />
+                      </div>
+                    </div>
+                  )}
+                  {!csvProgress && cols && !index && (
+                    <div className="text-xs text-gray-600">Indexing {rows.length.toLocaleString()} barcodes…</div>
+                  )}
                   {activeKey && (
                     <div className="flex flex-wrap gap-2">
                       <Button size="sm" variant="outline" onClick={() => loadScansForActive(activeKey)}>
@@ -761,6 +2423,113 @@ export default function InventoryScannerApp() {
                       </Button>
                     </div>
                   )}
+                  {activeKey && session && (
+                    <div className="flex flex-wrap items-center gap-2">
+                      <Badge variant={session.state === "finalized" ? "default" : "secondary"} className="text-xs">
+                        {SESSION_LABELS[session.state] || session.state}
+                      </Badge>
+                      {session.blind && <Badge className="text-xs">Blind</Badge>}
+                      {session.startedAt && (
+                        <span className="text-xs text-gray-600">
+                          Started{session.startedBy ? ` by ${session.startedBy}` : ""} · {when(session.startedAt)}
+                        </span>
+                      )}
+                      {supervisor && session.state === "open" && (
+                        <Button size="sm" variant="outline" disabled={cloudBusy} onClick={() => changeSessionState("review")}>
+                          Send to Review
+                        </Button>
+                      )}
+                      {supervisor && session.state === "open" && (
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          disabled={cloudBusy}
+                          onClick={() => changeSessionState("configure", { blind: !session.blind })}
+                        >
+                          {session.blind ? "Disable blind count" : "Enable blind count"}
+                        </Button>
+                      )}
+                      {supervisor && session.state === "review" && (
+                        <>
+                          <Button size="sm" variant="outline" disabled={cloudBusy} onClick={() => changeSessionState("reopen")}>
+                            Reopen
+                          </Button>
+                          <label className="flex items-center gap-1 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={zeroUncounted}
+                              onChange={(e) => setZeroUncounted(e.target.checked)}
+                            />
+                            Record {uncountedRows.length} uncounted as 0
+                          </label>
+                          <Button
+                            size="sm"
+                            disabled={cloudBusy || awaitingRecount > 0}
+                            title={awaitingRecount ? `${awaitingRecount} item(s) await a recount` : undefined}
+                            onClick={() => changeSessionState("finalize")}
+                          >
+                            Finalize
+                          </Button>
+                        </>
+                      )}
+                      {supervisor && session.state === "finalized" && !session.totals && (
+                        <Button
+                          size="sm"
+                          disabled={cloudBusy}
+                          title="Finalizing stopped before the results were frozen"
+                          onClick={() => changeSessionState("finalize")}
+                        >
+                          Finish finalizing
+                        </Button>
+                      )}
+                      {session.tolerance && (
+                        <span className="text-xs text-gray-600">
+                          Recount beyond
+                          {session.tolerance.abs != null ? ` ±${session.tolerance.abs} units` : ""}
+                          {session.tolerance.abs != null && session.tolerance.pct != null ? " and" : ""}
+                          {session.tolerance.pct != null ? ` ±${session.tolerance.pct}%` : ""}
+                          {session.tolerance.value != null ? `${session.tolerance.abs != null || session.tolerance.pct != null ? ", or" : ""} value > ${session.tolerance.value}` : ""}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {activeKey && session && supervisor && !readOnly && (
+                    <div className="flex flex-wrap items-end gap-2">
+                      <div className="w-20">
+                        <Label htmlFor="tolAbs" className="text-[10px] sm:text-xs">± units</Label>
+                        <Input
+                          id="tolAbs"
+                          type="number"
+                          min="0"
+                          value={toleranceDraft.abs}
+                          onChange={(e) => setToleranceDraft((t) => ({ ...t, abs: e.target.value }))}
+                        />
+                      </div>
+                      <div className="w-20">
+                        <Label htmlFor="tolPct" className="text-[10px] sm:text-xs">± %</Label>
+                        <Input
+                          id="tolPct"
+                          type="number"
+                          min="0"
+                          value={toleranceDraft.pct}
+                          onChange={(e) => setToleranceDraft((t) => ({ ...t, pct: e.target.value }))}
+                        />
+                      </div>
+                      <div className="w-24">
+                        <Label htmlFor="tolValue" className="text-[10px] sm:text-xs">max value</Label>
+                        <Input
+                          id="tolValue"
+                          type="number"
+                          min="0"
+                          value={toleranceDraft.value}
+                          onChange={(e) => setToleranceDraft((t) => ({ ...t, value: e.target.value }))}
+                        />
+                      </div>
+                      <Button size="sm" variant="outline" disabled={cloudBusy} onClick={saveTolerance}>
+                        Save tolerance
+                      </Button>
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -773,42 +2542,212 @@ export default function InventoryScannerApp() {
               <Separator />
 
               <div className="grid gap-2">
-                <Label htmlFor="barcode" className="text-xs sm:text-sm">Scan Barcode</Label>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <Label htmlFor="barcode" className="text-xs sm:text-sm">Scan Barcode</Label>
+                  <div className="flex items-center gap-2">
+                    <select
+                      aria-label="Counting mode"
+                      className="border rounded-xl p-1 text-xs"
+                      value={countMode}
+                      onChange={(e) => setCountMode(e.target.value)}
+                    >
+                      <option value="typed">Type quantity</option>
+                      <option value="tally">Scan to count</option>
+                    </select>
+                    {countMode === "tally" && (
+                      <Input
+                        aria-label="Pack quantity"
+                        type="number"
+                        min="1"
+                        inputMode="numeric"
+                        value={packQty}
+                        onChange={(e) => setPackQty(e.target.value)}
+                        className="w-16 p-1 text-xs"
+                      />
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Label htmlFor="location" className="text-xs sm:text-sm whitespace-nowrap">Location</Label>
+                  <Input
+                    id="location"
+                    placeholder="Whole item (or scan a LOC:… label)"
+                    value={countLocation}
+                    onChange={(e) => setCountLocation(e.target.value)}
+                    onBlur={(e) => setCountLocation(e.target.value.trim())}
+                    onKeyDown={(e) => e.key === "Enter" && barcodeRef.current?.focus()}
+                    disabled={readOnly}
+                    className="h-8 text-sm"
+                  />
+                  {countLocation && (
+                    <Button size="sm" variant="outline" onClick={() => setCountLocation("")} disabled={readOnly}>
+                      Clear
+                    </Button>
+                  )}
+                </div>
                 <div className="flex gap-2">
                   <Input
                     id="barcode"
                     ref={barcodeRef}
                     placeholder="Focus here and scan barcode..."
                     onKeyDown={onBarcodeScan}
-                    disabled={!cols}
+                    disabled={!cols || readOnly}
                     className="flex-1"
                   />
                   <Button
                     variant="outline"
                     className="gap-2"
-                    disabled={!cols}
+                    disabled={!cols || readOnly}
                     onClick={() => barcodeRef.current?.focus()}
                   >
                     <BarcodeIcon className="h-4 w-4" /> Focus
                   </Button>
+                  <Button
+                    variant="outline"
+                    className="gap-2"
+                    disabled={!cols || readOnly}
+                    onClick={() => setCameraOpen((o) => !o)}
+                  >
+                    <Camera className="h-4 w-4" /> Camera
+                  </Button>
                 </div>
 
+                {cameraOpen && cols && !readOnly && (
+                  <CameraScanner
+                    continuous={countMode === "tally"}
+                    onDetected={(text) => {
+                      if (barcodeRef.current) barcodeRef.current.value = text;
+                      handleScannedCode(text);
+                    }}
+                    onClose={() => setCameraOpen(false)}
+                  />
+                )}
+
+                {cols && !readOnly && (
+                  <div className="grid gap-1">
+                    <Input
+                      type="search"
+                      placeholder="Label damaged? Search by name or code…"
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === "Escape") setSearchQuery("");
+                        if (e.key === "Enter" && searchResults[0]) {
+                          openItem(searchResults[0].row, { via: "search" });
+                          setSearchQuery("");
+                        }
+                      }}
+                    />
+                    {searchQuery.trim().length >= 2 && (
+                      <div className="max-h-72 overflow-y-auto rounded-xl border bg-white">
+                        {searchResults.length === 0 && <div className="p-2 text-sm text-gray-500">No matching items.</div>}
+                        {searchResults.map(({ row }, i) => (
+                          <button
+                            key={`${row[cols.barcode]}-${i}`}
+                            type="button"
+                            className="flex w-full items-center justify-between gap-2 border-t px-3 py-2 text-left first:border-t-0 hover:bg-gray-50"
+                            onClick={() => {
+                              openItem(row, { via: "search" });
+                              setSearchQuery("");
+                            }}
+                          >
+                            <span className="min-w-0">
+                              <span className="block truncate text-sm">{row[cols.name]}</span>
+                              <span className="block truncate font-mono text-xs text-gray-500">
+                                {row[cols.barcode]}
+                                {cols.sku && row[cols.sku] ? ` · ${row[cols.sku]}` : ""}
+                              </span>
+                            </span>
+                            {!hideExpected && <span className="shrink-0 text-xs text-gray-600">{row[cols.onHand]}</span>}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                {countMode === "tally" && tallyHistory[0] && (
+                  <div className="flex items-center justify-between gap-2 rounded-xl border bg-gray-50 p-2">
+                    <div className="min-w-0">
+                      <div className="truncate text-sm font-medium">{tallyHistory[0].name}</div>
+                      <div className="text-xs text-gray-600">
+                        <span className="font-mono">{tallyHistory[0].barcode}</span> · +{tallyHistory[0].qty}
+                        {tallyHistory[0].item.pack && ` (${tallyHistory[0].item.pack.label} ×${tallyHistory[0].item.pack.size})`}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-2xl font-semibold tabular-nums">
+                        {diffs.find((x) => sameEntry(x, tallyHistory[0].item))?.actual ?? tallyHistory[0].actual}
+                      </span>
+                      <Button size="sm" variant="outline" onClick={undoLast} disabled={readOnly || !undoStack[0]?.tally}>
+                        Undo
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                {readOnly && (
+                  <p className="text-sm text-gray-700">
+                    Finalized{session.finalizedBy ? ` by ${session.finalizedBy}` : ""}
+                    {session.finalizedAt ? ` on ${when(session.finalizedAt)}` : ""} — showing the frozen results, read-only.
+                  </p>
+                )}
+
                 {rows.length > 0 && (
                   <p className="text-xs text-gray-600">
                     Loaded <strong>{rows.length}</strong> rows.&nbsp;
                     {cols ? (
-                      <>Detected: <strong>Barcode</strong>, <strong>Name</strong>, <strong>On Hand</strong>{cols.reserved ? ", " : ""}{cols.reserved ? <strong>Reserved</strong> : null}.</>
+                      <>
+                        {cols.source === "profile" ? "Saved mapping" : "Detected"}: <strong>Barcode</strong>, <strong>Name</strong>, <strong>On Hand</strong>
+                        {COLUMN_FIELDS.filter((f) => !f.required && cols[f.key]).map((f) => (
+                          <React.Fragment key={f.key}>, <strong>{f.label}</strong></React.Fragment>
+                        ))}
+                        .{" "}
+                      </>
                     ) : (
-                      <>Couldn’t find required headers in the CSV.</>
+                      <>Couldn’t find required headers in the CSV.{" "}</>
+                    )}
+                    {supervisor ? (
+                      <button type="button" className="underline" onClick={openColumnMapping}>
+                        {cols ? "Change columns" : "Map columns"}
+                      </button>
+                    ) : (
+                      !cols && "Ask a supervisor to map the columns."
                     )}
                   </p>
                 )}
 
-                {notFound && (
-                  <p className="text-sm text-amber-700">
-                    Barcode <span className="font-semibold">{notFound}</span> not found in the file.
+                {checkDigitWarning && (
+                  <p className="text-xs text-amber-700">
+                    <AlertTriangle className="mr-1 inline h-3 w-3" />
+                    {checkDigitWarning} has an invalid check digit — probably a misread or typo. Rescan to be sure.
                   </p>
                 )}
+
+                {notFound && (
+                  <div className="flex flex-wrap items-center gap-2 text-sm text-amber-700">
+                    <span>
+                      Barcode <span className="font-semibold">{notFound}</span> not found in the file.
+                    </span>
+                    {!readOnly && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => {
+                          const prior = unknownDiffs.find((d) => sameEntry(d, { barcode: notFound, location: countLocation }));
+                          setUnknownDraft({
+                            barcode: notFound,
+                            actual: prior ? String(prior.actual) : "",
+                            description: prior?.name || "",
+                            note: prior?.note || "",
+                          });
+                        }}
+                      >
+                        Record as unknown item
+                      </Button>
+                    )}
+                  </div>
+                )}
               </div>
             </CardContent>
           </Card>
@@ -818,51 +2757,727 @@ export default function InventoryScannerApp() {
             <CardHeader className="pb-2"><CardTitle className="text-base sm:text-lg">Progress</CardTitle></CardHeader>
             <CardContent className="space-y-2 text-sm">
               <div className="flex items-center justify-between"><span>Total items</span><span className="font-medium">{rows.length}</span></div>
-              <div className="flex items-center justify-between"><span>Scanned (unique)</span><span className="font-medium">{new Set(diffs.map((d) => d.barcode)).size}</span></div>
-              <div className="flex items-center justify-between"><span>With differences</span><span className="font-medium">{diffs.filter((d) => d.delta !== 0).length}</span></div>
+              <div className="flex items-center justify-between"><span>Scanned (unique)</span><span className="font-medium">{knownItems.length}</span></div>
+              <div className="flex items-center justify-between">
+                <span>Not counted yet</span>
+                <button type="button" className="font-medium underline" disabled={!cols} onClick={() => setShowUncounted((v) => !v)}>
+                  {uncountedRows.length}
+                </button>
+              </div>
+              <div className="flex items-center justify-between"><span>Awaiting recount</span><span className="font-medium">{awaitingRecount}</span></div>
+              <div className="flex items-center justify-between"><span>Unknown items</span><span className="font-medium">{unknownDiffs.length}</span></div>
+              {!hideExpected && (
+                <div className="flex items-center justify-between"><span>With differences</span><span className="font-medium">{knownItems.filter((d) => d.delta !== 0).length}</span></div>
+              )}
             </CardContent>
           </Card>
         </section>
 
+        {/* Uncounted items */}
+        {showUncounted && cols && (
+          <section className="grid gap-3 sm:gap-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h2 className="text-base sm:text-lg font-semibold">Not counted yet ({uncountedRows.length})</h2>
+              <div className="flex flex-wrap items-center gap-2">
+                <Input
+                  type="search"
+                  placeholder="Filter by name, code, location…"
+                  value={uncountedFilter}
+                  onChange={(e) => setUncountedFilter(e.target.value)}
+                  className="w-56"
+                />
+                <Button variant="secondary" onClick={exportUncountedCSV} className="gap-2" disabled={!supervisor || !filteredUncounted.length}>
+                  <Download className="h-4 w-4" /> Uncounted CSV
+                </Button>
+                <Button variant="outline" onClick={() => setShowUncounted(false)}>
+                  Hide
+                </Button>
+              </div>
+            </div>
+            <div className="overflow-x-auto rounded-xl border bg-white">
+              <table className="min-w-full text-xs sm:text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left">
+                    <th className="px-2 sm:px-3 py-2">Barcode</th>
+                    <th className="px-2 sm:px-3 py-2">Name</th>
+                    {cols.location && <th className="px-2 sm:px-3 py-2">Location</th>}
+                    {cols.category && <th className="px-2 sm:px-3 py-2">Category</th>}
+                    {!hideExpected && <th className="px-2 sm:px-3 py-2 text-right">On Hand</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredUncounted.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="px-2 sm:px-3 py-6 text-center text-gray-500">
+                        {uncountedRows.length ? "No uncounted items match the filter." : "Every item has been counted."}
+                      </td>
+                    </tr>
+                  )}
+                  {filteredUncounted.slice(0, 200).map((r, i) => (
+                    <tr key={`${r[cols.barcode]}-${i}`} className="border-t">
+                      <td className="px-2 sm:px-3 py-2 font-mono break-all">{r[cols.barcode]}</td>
+                      <td className="px-2 sm:px-3 py-2">{r[cols.name]}</td>
+                      {cols.location && <td className="px-2 sm:px-3 py-2">{r[cols.location]}</td>}
+                      {cols.category && <td className="px-2 sm:px-3 py-2">{r[cols.category]}</td>}
+                      {!hideExpected && <td className="px-2 sm:px-3 py-2 text-right">{r[cols.onHand]}</td>}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {filteredUncounted.length > 200 && (
+              <p className="text-xs text-gray-600">Showing 200 of {filteredUncounted.length}; the CSV has all of them.</p>
+            )}
+          </section>
+        )}
+
         {/* Recent scans table */}
         <section className="grid gap-3 sm:gap-4">
-          <h2 className="text-base sm:text-lg font-semibold">Recent Scans</h2>
-          <div className="overflow-x-auto rounded-xl border bg-white">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h2 className="text-base sm:text-lg font-semibold">Recent Scans</h2>
+            {knownDiffs.length > 0 && (
+              <span className="text-xs text-gray-600">
+                {tableDiffs.length === knownDiffs.length ? knownDiffs.length : `${tableDiffs.length} of ${knownDiffs.length}`} entries
+              </span>
+            )}
+          </div>
+          {knownDiffs.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <Input
+                type="search"
+                placeholder="Search barcode, name, location…"
+                value={scanFilter.text}
+                onChange={(e) => setScanFilter((f) => ({ ...f, text: e.target.value }))}
+                className="w-56"
+              />
+              {!hideExpected && (
+                <select
+                  aria-label="Variance filter"
+                  className="border rounded-xl p-2"
+                  value={scanFilter.variance}
+                  onChange={(e) => setScanFilter((f) => ({ ...f, variance: e.target.value }))}
+                >
+                  <option value="all">All deltas</option>
+                  <option value="any">Variances only</option>
+                  <option value="over">Over (+)</option>
+                  <option value="under">Short (−)</option>
+                  <option value="match">Matching</option>
+                </select>
+              )}
+              <select
+                aria-label="Counter filter"
+                className="border rounded-xl p-2"
+                value={scanFilter.counter}
+                onChange={(e) => setScanFilter((f) => ({ ...f, counter: e.target.value }))}
+              >
+                <option value="">All counters</option>
+                {scanCounters.map((c) => (
+                  <option key={c} value={c}>
+                    {c}
+                  </option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1 text-gray-600">
+                From
+                <input
+                  type="datetime-local"
+                  className="border rounded-xl p-1.5"
+                  value={scanFilter.from}
+                  onChange={(e) => setScanFilter((f) => ({ ...f, from: e.target.value }))}
+                />
+              </label>
+              <label className="flex items-center gap-1 text-gray-600">
+                To
+                <input
+                  type="datetime-local"
+                  className="border rounded-xl p-1.5"
+                  value={scanFilter.to}
+                  onChange={(e) => setScanFilter((f) => ({ ...f, to: e.target.value }))}
+                />
+              </label>
+              {isFilterActive(scanFilter) && (
+                <Button size="sm" variant="outline" onClick={() => setScanFilter(EMPTY_SCAN_FILTER)}>
+                  Clear filters
+                </Button>
+              )}
+            </div>
+          )}
+          <div ref={rowWindow.scrollRef} onScroll={rowWindow.onScroll} className="max-h-[70vh] overflow-auto rounded-xl border bg-white">
             <table className="min-w-full text-xs sm:text-sm">
-              <thead className="bg-gray-50">
+              <thead className="sticky top-0 z-10 bg-gray-50">
                 <tr className="text-left">
-                  <th className="px-2 sm:px-3 py-2">Time</th>
-                  <th className="px-2 sm:px-3 py-2">Barcode</th>
-                  <th className="px-2 sm:px-3 py-2">Name</th>
-                  <th className="px-2 sm:px-3 py-2 text-right">Prev On Hand</th>
-                  <th className="px-2 sm:px-3 py-2 text-right">Actual</th>
-                  <th className="px-2 sm:px-3 py-2 text-right">Delta</th>
+                  <SortHeader label="Time" sortKey="ts" sort={scanSort} onSort={toggleScanSort} />
+                  <SortHeader label="Barcode" sortKey="barcode" sort={scanSort} onSort={toggleScanSort} />
+                  <SortHeader label="Name" sortKey="name" sort={scanSort} onSort={toggleScanSort} />
+                  <SortHeader label="Location" sortKey="location" sort={scanSort} onSort={toggleScanSort} />
+                  {!hideExpected && <SortHeader label="Prev On Hand" sortKey="prevOnHand" sort={scanSort} onSort={toggleScanSort} right />}
+                  <SortHeader label="Actual" sortKey="actual" sort={scanSort} onSort={toggleScanSort} right />
+                  {!hideExpected && <SortHeader label="Item Delta" sortKey="delta" sort={scanSort} onSort={toggleScanSort} right />}
+                  <SortHeader label="By" sortKey="counter" sort={scanSort} onSort={toggleScanSort} />
+                  {!readOnly && supervisor && <th className="px-2 sm:px-3 py-2" />}
                 </tr>
               </thead>
-              <tbody>
-                {diffs.length === 0 && (
+              <tbody ref={rowWindow.bodyRef}>
+                {tableDiffs.length === 0 && (
                   <tr>
-                    <td colSpan={6} className="px-2 sm:px-3 py-6 text-center text-gray-500">No scans yet.</td>
+                    <td colSpan={9} className="px-2 sm:px-3 py-6 text-center text-gray-500">
+                      {knownDiffs.length ? "No scans match the filters." : "No scans yet."}
+                    </td>
                   </tr>
                 )}
-                {diffs.map((d) => (
-                  <tr key={`${d.barcode}-${d.ts}`} className="border-t">
-                    <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{new Date(d.ts).toLocaleString()}</td>
-                    <td className="px-2 sm:px-3 py-2 font-mono break-all">{d.barcode}</td>
-                    <td className="px-2 sm:px-3 py-2">{d.name}</td>
-                    <td className="px-2 sm:px-3 py-2 text-right">{d.prevOnHand}</td>
-                    <td className="px-2 sm:px-3 py-2 text-right">{d.actual}</td>
-                    <td className={`px-2 sm:px-3 py-2 text-right ${d.delta === 0 ? "text-gray-600" : d.delta > 0 ? "text-emerald-600" : "text-rose-600"}`}>
-                      {d.delta > 0 ? `+${d.delta}` : d.delta}
-                    </td>
+                {rowWindow.padTop > 0 && (
+                  <tr aria-hidden="true">
+                    <td colSpan={9} style={{ height: rowWindow.padTop, padding: 0 }} />
                   </tr>
-                ))}
+                )}
+                {tableDiffs.slice(rowWindow.start, rowWindow.end).map((d) => {
+                  const item = itemByBarcode.get(d.barcode) || d;
+                  const rowKey = `${d.barcode}|${d.location || ""}`;
+                  const steps = historyOf(d);
+                  return (
+                    <React.Fragment key={`${rowKey}-${d.ts}`}>
+                      <tr data-row className="border-t">
+                        <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{when(d.ts)}</td>
+                        <td className="px-2 sm:px-3 py-2 font-mono break-all">
+                          {d.barcode}
+                          {d.pack && (
+                            <div className="font-sans text-[10px] text-gray-500">
+                              via {d.pack} ×{d.packSize}
+                              {d.packCount != null ? ` · ${d.packCount} counted` : ""}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-2 sm:px-3 py-2">
+                          {d.name}
+                          {d.source === "search" && (
+                            <Badge variant="secondary" className="ml-2 text-[10px]">
+                              Found by search
+                            </Badge>
+                          )}
+                          {d.zeroed && (
+                            <Badge variant="secondary" className="ml-2 text-[10px]">
+                              Uncounted → 0
+                            </Badge>
+                          )}
+                          {d.correction === "edit" && (
+                            <Badge variant="secondary" className="ml-2 text-[10px]">
+                              Edited (was {d.prevActual})
+                            </Badge>
+                          )}
+                          {d.recount === "pending" && <Badge className="ml-2 text-[10px]">Recount</Badge>}
+                          {d.recount === "done" && (
+                            <Badge variant="secondary" className="ml-2 text-[10px]">
+                              Recounted{hideExpected ? "" : ` (1st: ${d.firstActual})`}
+                            </Badge>
+                          )}
+                        </td>
+                        <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{d.location || "—"}</td>
+                        {!hideExpected && <td className="px-2 sm:px-3 py-2 text-right">{d.prevOnHand}</td>}
+                        <td className="px-2 sm:px-3 py-2 text-right">
+                          {d.actual}
+                          {item.locations?.length > 1 && <div className="text-[10px] text-gray-500">item total {item.actual}</div>}
+                          {steps.length > 1 && (
+                            <button
+                              type="button"
+                              className="block ml-auto text-[10px] text-gray-500 underline"
+                              onClick={() => setExpandedEntry((k) => (k === rowKey ? "" : rowKey))}
+                            >
+                              {expandedEntry === rowKey ? "hide history" : `history (${steps.length})`}
+                            </button>
+                          )}
+                        </td>
+                        {!hideExpected && (
+                          <td className={`px-2 sm:px-3 py-2 text-right ${item.delta === 0 ? "text-gray-600" : item.delta > 0 ? "text-emerald-600" : "text-rose-600"}`}>
+                            {item.delta > 0 ? `+${item.delta}` : item.delta}
+                          </td>
+                        )}
+                        <td className="px-2 sm:px-3 py-2 whitespace-nowrap text-gray-600">{d.counter || "—"}</td>
+                        {!readOnly && supervisor && (
+                          <td className="px-2 sm:px-3 py-2 whitespace-nowrap text-right">
+                            <EntryActions
+                              onEdit={() => setEditDraft({ entry: d, actual: String(d.actual) })}
+                              onDelete={() => deleteEntry(d)}
+                            />
+                          </td>
+                        )}
+                      </tr>
+                      {expandedEntry === rowKey && (
+                        <tr data-row className="bg-gray-50">
+                          <td colSpan={9} className="px-2 sm:px-3 py-2">
+                            <ol className="grid gap-0.5 text-[11px] text-gray-600">
+                              {steps.map((h, i) => (
+                                <li key={i} className="flex flex-wrap gap-x-3">
+                                  <span className="w-5 text-right text-gray-400">{i + 1}.</span>
+                                  <span className="whitespace-nowrap">{when(h.ts)}</span>
+                                  <span>{h.type}</span>
+                                  {h.qty != null && <span>+{h.qty}</span>}
+                                  <span>→ {h.actual}</span>
+                                  <span>{h.counter || "—"}</span>
+                                </li>
+                              ))}
+                            </ol>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+                {rowWindow.padBottom > 0 && (
+                  <tr aria-hidden="true">
+                    <td colSpan={9} style={{ height: rowWindow.padBottom, padding: 0 }} />
+                  </tr>
+                )}
               </tbody>
             </table>
           </div>
         </section>
+
+        {/* Unknown items */}
+        {unknownDiffs.length > 0 && (
+          <section className="grid gap-3 sm:gap-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h2 className="text-base sm:text-lg font-semibold">Unknown items</h2>
+              <Button variant="secondary" onClick={exportUnknownCSV} className="gap-2" disabled={!supervisor}>
+                <Download className="h-4 w-4" /> Unknown CSV
+              </Button>
+            </div>
+            <div className="overflow-x-auto rounded-xl border bg-white">
+              <table className="min-w-full text-xs sm:text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left">
+                    <th className="px-2 sm:px-3 py-2">Time</th>
+                    <th className="px-2 sm:px-3 py-2">Barcode</th>
+                    <th className="px-2 sm:px-3 py-2">Description</th>
+                    <th className="px-2 sm:px-3 py-2">Location</th>
+                    <th className="px-2 sm:px-3 py-2 text-right">Qty</th>
+                    <th className="px-2 sm:px-3 py-2">Note</th>
+                    <th className="px-2 sm:px-3 py-2">By</th>
+                    {!readOnly && supervisor && <th className="px-2 sm:px-3 py-2" />}
+                  </tr>
+                </thead>
+                <tbody>
+                  {unknownDiffs.map((d) => (
+                    <tr key={`${d.barcode}-${d.location || ""}-${d.ts}`} className="border-t">
+                      <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{when(d.ts)}</td>
+                      <td className="px-2 sm:px-3 py-2 font-mono break-all">{d.barcode}</td>
+                      <td className="px-2 sm:px-3 py-2">{d.name || "—"}</td>
+                      <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{d.location || "—"}</td>
+                      <td className="px-2 sm:px-3 py-2 text-right">{d.actual}</td>
+                      <td className="px-2 sm:px-3 py-2 text-gray-600">{d.note || "—"}</td>
+                      <td className="px-2 sm:px-3 py-2 whitespace-nowrap text-gray-600">{d.counter || "—"}</td>
+                      {!readOnly && supervisor && (
+                        <td className="px-2 sm:px-3 py-2 whitespace-nowrap text-right">
+                          <EntryActions
+                            onEdit={() => setEditDraft({ entry: d, actual: String(d.actual) })}
+                            onDelete={() => deleteEntry(d)}
+                          />
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
+
+        {/* Corrections (audit trail) */}
+        {supervisor && corrections.length > 0 && (
+          <section className="grid gap-3 sm:gap-4">
+            <h2 className="text-base sm:text-lg font-semibold">Corrections</h2>
+            <div className="overflow-x-auto rounded-xl border bg-white">
+              <table className="min-w-full text-xs sm:text-sm">
+                <thead className="bg-gray-50">
+                  <tr className="text-left">
+                    <th className="px-2 sm:px-3 py-2">Time</th>
+                    <th className="px-2 sm:px-3 py-2">Change</th>
+                    <th className="px-2 sm:px-3 py-2">Item</th>
+                    <th className="px-2 sm:px-3 py-2 text-right">Before</th>
+                    <th className="px-2 sm:px-3 py-2 text-right">After</th>
+                    <th className="px-2 sm:px-3 py-2">By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {corrections.slice(0, 200).map((c, i) => (
+                    <tr key={`${c.ts}-${c.barcode || ""}-${i}`} className="border-t">
+                      <td className="px-2 sm:px-3 py-2 whitespace-nowrap">{when(c.ts)}</td>
+                      <td className="px-2 sm:px-3 py-2">{c.correction || c.type}</td>
+                      <td className="px-2 sm:px-3 py-2">
+                        {c.type === "reset" ? (
+                          `all entries (${c.cleared ?? "?"})`
+                        ) : (
+                          <>
+                            {c.name || "—"} <span className="font-mono text-gray-500">{c.barcode}</span>
+                            {c.location ? ` · ${c.location}` : ""}
+                          </>
+                        )}
+                      </td>
+                      <td className="px-2 sm:px-3 py-2 text-right">{c.prevActual ?? "—"}</td>
+                      <td className="px-2 sm:px-3 py-2 text-right">
+                        {c.type === "delete" || c.type === "reset"
+                          ? "deleted"
+                          : c.type === "add"
+                            ? `${c.qty > 0 ? "+" : ""}${c.qty}`
+                            : c.actual}
+                      </td>
+                      <td className="px-2 sm:px-3 py-2 whitespace-nowrap text-gray-600">{c.counter || "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </section>
+        )}
       </div>
 
+      {/* Modal to correct one history entry */}
+      <Dialog open={!!editDraft} onOpenChange={(open) => !open && setEditDraft(null)}>
+        <DialogContent className="sm:max-w-lg">
+          {editDraft && (
+            <div className="space-y-4">
+              <DialogHeader>
+                <DialogTitle className="text-xl sm:text-2xl">Edit count</DialogTitle>
+                <DialogDescription>
+                  {editDraft.entry.name || "Unknown item"} · <span className="font-mono">{editDraft.entry.barcode}</span>
+                  {editDraft.entry.location ? ` · ${editDraft.entry.location}` : ""} — currently {editDraft.entry.actual}.
+                  The change is kept in the corrections log.
+                </DialogDescription>
+              </DialogHeader>
+              <div>
+                <Label htmlFor="edit-actual" className="text-xs sm:text-sm">Actual On Hand</Label>
+                <Input
+                  id="edit-actual"
+                  type="number"
+                  inputMode="numeric"
+                  value={editDraft.actual}
+                  onChange={(e) => setEditDraft((d) => ({ ...d, actual: e.target.value }))}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") saveEdit();
+                    if (e.key === "Escape") setEditDraft(null);
+                  }}
+                  className="text-base sm:text-lg"
+                />
+              </div>
+              <DialogFooter className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <Button variant="outline" className="gap-2 w-full sm:w-auto" onClick={() => setEditDraft(null)}>
+                  <X className="h-4 w-4" /> Cancel
+                </Button>
+                <Button className="gap-2 w-full sm:w-auto" onClick={saveEdit}>
+                  <Check className="h-4 w-4" /> Save
+                </Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Modal to set this namespace's PINs (admins) */}
+      <Dialog open={!!accessDraft} onOpenChange={(open) => !open && setAccessDraft(null)}>
+        <DialogContent className="sm:max-w-lg">
+          {accessDraft && (
+            <div className="space-y-4">
+              <DialogHeader>
+                <DialogTitle className="text-xl sm:text-2xl">PINs for {namespace}</DialogTitle>
+                <DialogDescription>
+                  Counters scan, supervisors also review, correct and finalize, admins also upload files and set PINs.
+                  Changing a PIN doesn't sign out devices already signed in.
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-3">
+                {ROLES.map((r) => (
+                  <div key={r} className="flex items-end gap-2">
+                    <div className="flex-1">
+                      <Label htmlFor={`pin-${r}`} className="text-xs sm:text-sm capitalize">
+                        {r} {accessDraft.roles[r] ? "· PIN set" : "· no PIN"}
+                      </Label>
+                      <Input
+                        id={`pin-${r}`}
+                        type="password"
+                        autoComplete="new-password"
+                        placeholder="New PIN"
+                        value={accessDraft.pins[r]}
+                        onChange={(e) => setAccessDraft((d) => ({ ...d, pins: { ...d.pins, [r]: e.target.value } }))}
+                      />
+                    </div>
+                    <Button size="sm" disabled={!accessDraft.pins[r]} onClick={() => savePin(r, accessDraft.pins[r])}>
+                      Save
+                    </Button>
+                    {accessDraft.roles[r] && (
+                      <Button size="sm" variant="outline" onClick={() => savePin(r, "")}>
+                        Remove
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+              <DialogFooter>
+                <Button variant="outline" className="w-full sm:w-auto" onClick={() => setAccessDraft(null)}>
+                  Done
+                </Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Modal to manage namespaces (admins; create/archive/delete for site admins) */}
+      <Dialog open={!!nsDraft} onOpenChange={(open) => !open && setNsDraft(null)}>
+        <DialogContent className="sm:max-w-2xl max-h-[90vh] overflow-y-auto">
+          {nsDraft && (
+            <div className="space-y-4">
+              <DialogHeader>
+                <DialogTitle className="text-xl sm:text-2xl">Namespace {namespace}</DialogTitle>
+                <DialogDescription>
+                  The name is what the app shows; files stay under <span className="font-mono">{namespace}/</span>. Defaults apply to
+                  files uploaded from now on.
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <div>
+                  <Label htmlFor="ns-name" className="text-xs sm:text-sm">Name</Label>
+                  <Input id="ns-name" value={nsDraft.name} onChange={(e) => setNsDraft((d) => ({ ...d, name: e.target.value }))} />
+                </div>
+                <div>
+                  <Label htmlFor="ns-tz" className="text-xs sm:text-sm">Timezone</Label>
+                  <Input
+                    id="ns-tz"
+                    placeholder="Asia/Riyadh"
+                    value={nsDraft.timezone}
+                    onChange={(e) => setNsDraft((d) => ({ ...d, timezone: e.target.value }))}
+                  />
+                </div>
+              </div>
+              <div className="space-y-2">
+                <div className="text-xs sm:text-sm font-medium">Counting</div>
+                <label className="flex items-center gap-1 text-xs text-gray-700">
+                  <input type="checkbox" checked={nsDraft.blind} onChange={(e) => setNsDraft((d) => ({ ...d, blind: e.target.checked }))} />
+                  blind count by default
+                </label>
+                <div className="flex flex-wrap items-end gap-2 text-xs">
+                  {[
+                    ["abs", "± units"],
+                    ["pct", "± %"],
+                    ["value", "max value"],
+                  ].map(([k, label]) => (
+                    <div key={k} className="w-24">
+                      <Label htmlFor={`ns-tol-${k}`} className="text-xs">{label}</Label>
+                      <Input
+                        id={`ns-tol-${k}`}
+                        type="number"
+                        min="0"
+                        value={nsDraft.tolerance[k]}
+                        onChange={(e) => setNsDraft((d) => ({ ...d, tolerance: { ...d.tolerance, [k]: e.target.value } }))}
+                      />
+                    </div>
+                  ))}
+                  <span className="text-gray-500 pb-2">recount tolerance of new sessions</span>
+                </div>
+              </div>
+              <div className="space-y-1 text-xs text-gray-700">
+                <div className="text-xs sm:text-sm font-medium">Default column mapping</div>
+                {nsDraft.mapping ? (
+                  <div>
+                    {COLUMN_FIELDS.filter((f) => nsDraft.mapping[f.key]).map((f) => `${f.label}: ${nsDraft.mapping[f.key]}`).join(" · ")}
+                  </div>
+                ) : (
+                  <div className="text-gray-500">None — columns are guessed from their names unless a saved mapping matches.</div>
+                )}
+                <div className="flex gap-2">
+                  <Button size="sm" variant="outline" disabled={!cols} onClick={mappingFromFile}>
+                    Use the loaded file's columns
+                  </Button>
+                  {nsDraft.mapping && (
+                    <Button size="sm" variant="outline" onClick={() => setNsDraft((d) => ({ ...d, mapping: null }))}>
+                      Clear
+                    </Button>
+                  )}
+                </div>
+              </div>
+
+              {auth?.site && (
+                <div className="space-y-2 border-t pt-3">
+                  <div className="text-xs sm:text-sm font-medium">All namespaces</div>
+                  <ul className="divide-y text-sm">
+                    {namespaces.map((n) => (
+                      <li key={n.id} className="flex flex-wrap items-center gap-2 py-1">
+                        <span className="flex-1">
+                          {n.name || n.id} <span className="font-mono text-xs text-gray-500">{n.id}</span>
+                          {n.archived && <span className="ml-1 text-xs text-amber-700">archived</span>}
+                        </span>
+                        {n.archived ? (
+                          <>
+                            <Button size="sm" variant="outline" disabled={cloudBusy} onClick={() => setArchived(n.id, false)}>
+                              Restore
+                            </Button>
+                            <Button size="sm" variant="outline" disabled={cloudBusy} onClick={() => deleteNamespace(n)}>
+                              Delete
+                            </Button>
+                          </>
+                        ) : (
+                          <Button size="sm" variant="outline" disabled={cloudBusy} onClick={() => setArchived(n.id, true)}>
+                            Archive
+                          </Button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                  <form className="flex flex-wrap items-end gap-2" onSubmit={createNamespace}>
+                    <div className="w-32">
+                      <Label htmlFor="new-ns-id" className="text-xs">Id</Label>
+                      <Input id="new-ns-id" value={newNsDraft.id} onChange={(e) => setNewNsDraft((d) => ({ ...d, id: e.target.value }))} />
+                    </div>
+                    <div className="flex-1 min-w-[8rem]">
+                      <Label htmlFor="new-ns-name" className="text-xs">Name</Label>
+                      <Input id="new-ns-name" value={newNsDraft.name} onChange={(e) => setNewNsDraft((d) => ({ ...d, name: e.target.value }))} />
+                    </div>
+                    <div className="w-36">
+                      <Label htmlFor="new-ns-tz" className="text-xs">Timezone</Label>
+                      <Input
+                        id="new-ns-tz"
+                        placeholder="Asia/Riyadh"
+                        value={newNsDraft.timezone}
+                        onChange={(e) => setNewNsDraft((d) => ({ ...d, timezone: e.target.value }))}
+                      />
+                    </div>
+                    <Button type="submit" size="sm" disabled={cloudBusy || !newNsDraft.id.trim()}>
+                      Add namespace
+                    </Button>
+                  </form>
+                </div>
+              )}
+
+              <DialogFooter className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <Button variant="outline" className="gap-2 w-full sm:w-auto" onClick={() => setNsDraft(null)}>
+                  <X className="h-4 w-4" /> Cancel
+                </Button>
+                <Button className="gap-2 w-full sm:w-auto" disabled={cloudBusy || !nsDraft.name.trim()} onClick={saveNamespaceSettings}>
+                  <Check className="h-4 w-4" /> Save
+                </Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Modal to record an unknown barcode */}
+      <Dialog open={!!unknownDraft} onOpenChange={(open) => !open && setUnknownDraft(null)}>
+        <DialogContent className="sm:max-w-lg">
+          {unknownDraft && (
+            <div className="space-y-4">
+              <DialogHeader>
+                <DialogTitle className="text-xl sm:text-2xl">Unknown item</DialogTitle>
+                <DialogDescription>
+                  <div className="text-sm sm:text-base">
+                    Barcode: <span className="font-mono font-medium break-all">{unknownDraft.barcode}</span>
+                  </div>
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-3 px-4">
+                <div>
+                  <Label htmlFor="unknownQty" className="text-xs sm:text-sm">Quantity</Label>
+                  <Input
+                    id="unknownQty"
+                    type="number"
+                    inputMode="numeric"
+                    autoFocus
+                    value={unknownDraft.actual}
+                    onChange={(e) => setUnknownDraft((u) => ({ ...u, actual: e.target.value }))}
+                    onKeyDown={(e) => e.key === "Enter" && confirmUnknown()}
+                    className="text-base sm:text-lg"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="unknownDesc" className="text-xs sm:text-sm">Description (optional)</Label>
+                  <Input
+                    id="unknownDesc"
+                    placeholder="What is it?"
+                    value={unknownDraft.description}
+                    onChange={(e) => setUnknownDraft((u) => ({ ...u, description: e.target.value }))}
+                  />
+                </div>
+                <div>
+                  <Label htmlFor="unknownNote" className="text-xs sm:text-sm">Note / photo reference (optional)</Label>
+                  <Input
+                    id="unknownNote"
+                    placeholder="e.g. shelf B3, photo IMG_1234"
+                    value={unknownDraft.note}
+                    onChange={(e) => setUnknownDraft((u) => ({ ...u, note: e.target.value }))}
+                  />
+                </div>
+              </div>
+              <DialogFooter className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <Button variant="outline" className="gap-2 w-full sm:w-auto" onClick={() => setUnknownDraft(null)}>
+                  <X className="h-4 w-4" /> Cancel
+                </Button>
+                <Button className="gap-2 w-full sm:w-auto" onClick={confirmUnknown}>
+                  <Check className="h-4 w-4" /> Save Unknown Item
+                </Button>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      {/* Manual column mapping, saved per namespace for these headers */}
+      <Dialog open={!!mappingDraft} onOpenChange={(open) => !open && setMappingDraft(null)}>
+        <DialogContent className="sm:max-w-lg">
+          {mappingDraft && (
+            <div className="space-y-4">
+              <DialogHeader>
+                <DialogTitle className="text-xl sm:text-2xl">Map columns</DialogTitle>
+                <DialogDescription>
+                  Pick the CSV column for each field. The mapping is saved for {namespace} and used automatically for
+                  files with the same headers.
+                </DialogDescription>
+              </DialogHeader>
+              <div className="grid gap-3">
+                {COLUMN_FIELDS.map((f) => (
+                  <div key={f.key} className="grid grid-cols-3 items-center gap-2">
+                    <Label htmlFor={`map-${f.key}`} className="text-xs sm:text-sm">
+                      {f.label}
+                      {f.required ? " *" : ""}
+                    </Label>
+                    <select
+                      id={`map-${f.key}`}
+                      className="col-span-2 h-10 rounded-md border px-2 text-sm"
+                      value={mappingDraft[f.key]}
+                      onChange={(e) => setMappingDraft((m) => ({ ...m, [f.key]: e.target.value }))}
+                    >
+                      <option value="">{f.required ? "— choose —" : "— none —"}</option>
+                      {fileHeaders.map((h) => (
+                        <option key={h} value={h}>
+                          {h}
+                          {rows[0]?.[h] ? ` (e.g. ${String(rows[0][h]).slice(0, 24)})` : ""}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+              <DialogFooter className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <Button variant="outline" className="gap-2 w-full sm:w-auto" onClick={() => setMappingDraft(null)}>
+                  <X className="h-4 w-4" /> Cancel
+                </Button>
+                <div className="flex gap-2 w-full sm:w-auto">
+                  {savedMapping && (
+                    <Button variant="secondary" className="flex-1 sm:flex-none" onClick={() => saveColumnMapping(null)}>
+                      Forget saved
+                    </Button>
+                  )}
+                  <Button
+                    className="gap-2 flex-1 sm:flex-none"
+                    disabled={COLUMN_FIELDS.some((f) => f.required && !mappingDraft[f.key])}
+                    onClick={() => saveColumnMapping(mappingDraft)}
+                  >
+                    <Check className="h-4 w-4" /> Save mapping
+                  </Button>
+                </div>
+              </DialogFooter>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
       {/* Modal to confirm actual qty */}
       <Dialog open={!!active} onOpenChange={(open) => !open && setActive(null)}>
         <DialogContent className="sm:max-w-lg">
@@ -874,13 +3489,35 @@ export default function InventoryScannerApp() {
                   <div className="text-sm sm:text-base">
                     Barcode: <span className="font-mono font-medium break-all">{active.barcode}</span>
                   </div>
+                  {active.pack && (
+                    <div className="text-sm sm:text-base">
+                      Scanned {active.pack.label.toLowerCase()} barcode{" "}
+                      <span className="font-mono break-all">{active.pack.barcode}</span> — {active.pack.size} units each
+                    </div>
+                  )}
+                  {(active.location || (!hideExpected && active.elsewhere > 0)) && (
+                    <div className="text-sm sm:text-base">
+                      {active.location ? <>Location: <strong>{active.location}</strong></> : "No location"}
+                      {!hideExpected && active.elsewhere > 0 ? ` · ${active.elsewhere} already counted in other locations` : ""}
+                    </div>
+                  )}
                 </DialogDescription>
               </DialogHeader>
+              {activeRecount && (
+                <div className="mx-4 rounded-xl border border-amber-300 bg-amber-50 p-3 text-sm text-amber-800">
+                  <strong>Recount required.</strong> The first count was outside tolerance — count again without looking at it.
+                  {activeRecount.counter && activeRecount.counter === counter.trim() && (
+                    <div className="mt-1">You made the first count; ideally a different counter does the recount.</div>
+                  )}
+                </div>
+              )}
               <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
-                <StatBox label="On Hand" value={active.onHand} large />
-                <StatBox label="Reserved" value={active.reserved} muted />
+                {!hideExpected && <StatBox label="On Hand" value={active.onHand} large />}
+                {!hideExpected && <StatBox label="Reserved" value={active.reserved} muted />}
                 <div className="col-span-2 sm:col-span-3">
-                  <Label htmlFor="actual" className="text-xs sm:text-sm">Actual On Hand</Label>
+                  <Label htmlFor="actual" className="text-xs sm:text-sm">
+                    {active.pack ? `Actual On Hand (${active.pack.label.toLowerCase()}s)` : "Actual On Hand"}
+                  </Label>
                   <Input
                     id="actual"
                     type="number"
@@ -888,11 +3525,16 @@ export default function InventoryScannerApp() {
                     value={actualQty}
                     onChange={(e) => setActualQty(e.target.value)}
                     onKeyDown={(e) => {
-                      if (e.key === "Enter") confirmQty(actualQty);
+                      if (e.key === "Enter") saveActual();
                       if (e.key === "Escape") setActive(null);
                     }}
                     className="text-base sm:text-lg"
                   />
+                  {active.pack && String(actualQty).trim() !== "" && (
+                    <p className="text-sm text-gray-700 mt-1">
+                      = <strong>{toNumber(actualQty) * active.pack.size}</strong> units
+                    </p>
+                  )}
                   <p className="text-xs text-gray-500 mt-1">
                     Press <strong>Enter</strong> to save, <strong>Esc</strong> to cancel.
                   </p>
@@ -903,10 +3545,16 @@ export default function InventoryScannerApp() {
                   <X className="h-4 w-4" /> Cancel
                 </Button>
                 <div className="flex gap-2 w-full sm:w-auto">
-                  <Button variant="secondary" className="gap-2 flex-1 sm:flex-none" onClick={() => confirmQty(active.onHand)}>
-                    <Check className="h-4 w-4" /> Confirm {active.onHand}
-                  </Button>
-                  <Button className="gap-2 flex-1 sm:flex-none" onClick={() => confirmQty(actualQty)}>
+                  {!hideExpected && !activeRecount && active.onHand - active.elsewhere >= 0 && (
+                    <Button
+                      variant="secondary"
+                      className="gap-2 flex-1 sm:flex-none"
+                      onClick={() => confirmQty(active.onHand - active.elsewhere)}
+                    >
+                      <Check className="h-4 w-4" /> Confirm {active.onHand - active.elsewhere}
+                    </Button>
+                  )}
+                  <Button className="gap-2 flex-1 sm:flex-none" onClick={saveActual}>
                     <Check className="h-4 w-4" /> Save Actual
                   </Button>
                 </div>
@@ -919,6 +3567,37 @@ export default function InventoryScannerApp() {
   );
 }
 
+/* Clickable column header: sorts by that column, again to reverse */
+function SortHeader({ label, sortKey, sort, onSort, right }) {
+  const active = sort.key === sortKey;
+  const Arrow = sort.dir === "asc" ? ArrowUp : ArrowDown;
+  return (
+    <th
+      className={`px-2 sm:px-3 py-2 ${right ? "text-right" : ""}`}
+      aria-sort={active ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}
+    >
+      <button type="button" className="inline-flex items-center gap-1 font-semibold hover:underline" onClick={() => onSort(sortKey)}>
+        {label}
+        {active && <Arrow className="h-3 w-3" />}
+      </button>
+    </th>
+  );
+}
+
+/* Edit / delete buttons of a history row */
+function EntryActions({ onEdit, onDelete }) {
+  return (
+    <span className="inline-flex gap-1">
+      <Button size="sm" variant="outline" className="h-7 px-2" onClick={onEdit} aria-label="Edit count">
+        <Pencil className="h-3 w-3" />
+      </Button>
+      <Button size="sm" variant="outline" className="h-7 px-2" onClick={onDelete} aria-label="Delete count">
+        <Trash2 className="h-3 w-3" />
+      </Button>
+    </span>
+  );
+}
+
 /* Small stat card */
 function StatBox({ label, value, large, muted }) {
   return (
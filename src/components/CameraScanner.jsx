@@ -0,0 +1,104 @@
+import React, { useEffect, useRef, useState } from "react";
+import { X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+
+// Same code seen again within this window is the same physical scan
+const REPEAT_MS = 1500;
+const FRAME_MS = 200;
+
+/**
+ * Rear-camera barcode scanner. Calls onDetected(text) for each new code;
+ * unless `continuous`, it closes itself after the first one.
+ */
+export default function CameraScanner({ onDetected, onClose, continuous = false }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const lastRef = useRef({ text: "", at: 0 });
+  // the scan loop outlives renders, so it must call the latest callbacks
+  const onDetectedRef = useRef(onDetected);
+  const onCloseRef = useRef(onClose);
+  onDetectedRef.current = onDetected;
+  onCloseRef.current = onClose;
+  const [status, setStatus] = useState("Starting camera…");
+  const [engine, setEngine] = useState("");
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+
+    (async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setStatus("This browser has no camera access.");
+        return;
+      }
+      try {
+        const { createDetector } = await import("@/lib/camera-decode.js");
+        const detector = await createDetector();
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: { ideal: "environment" } },
+          audio: false,
+        });
+        if (stopped) return stop();
+
+        const video = videoRef.current;
+        video.srcObject = stream;
+        await video.play();
+        setEngine(detector.kind);
+        setStatus("Point the camera at a barcode");
+
+        const tick = async () => {
+          if (stopped) return;
+          try {
+            const hit = await detector.detect(video, canvasRef.current);
+            const now = Date.now();
+            if (hit?.text && (hit.text !== lastRef.current.text || now - lastRef.current.at > REPEAT_MS)) {
+              lastRef.current = { text: hit.text, at: now };
+              navigator.vibrate?.(60);
+              onDetectedRef.current?.(hit.text, hit.format);
+              if (!continuous) {
+                stop();
+                onCloseRef.current?.();
+                return;
+              }
+            }
+          } catch {
+            // a bad frame is not fatal; try the next one
+          }
+          timer = setTimeout(tick, FRAME_MS);
+        };
+        tick();
+      } catch (e) {
+        setStatus(e?.name === "NotAllowedError" ? "Camera permission denied." : `Camera error: ${e?.message || e}`);
+        stop();
+      }
+    })();
+
+    return stop;
+  }, [continuous]);
+
+  return (
+    <div className="space-y-2 rounded-xl border bg-black/90 p-2">
+      <div className="relative overflow-hidden rounded-lg">
+        <video ref={videoRef} className="w-full max-h-72 object-cover" playsInline muted />
+        <div className="pointer-events-none absolute inset-x-8 top-1/2 h-0.5 -translate-y-1/2 bg-rose-500/80" />
+      </div>
+      <canvas ref={canvasRef} className="hidden" />
+      <div className="flex items-center justify-between gap-2 text-xs text-gray-200">
+        <span>
+          {status}
+          {engine ? ` · ${engine === "native" ? "BarcodeDetector" : "JS decoder"}` : ""}
+        </span>
+        <Button size="sm" variant="outline" className="gap-1" onClick={onClose}>
+          <X className="h-3 w-3" /> Close
+        </Button>
+      </div>
+    </div>
+  );
+}
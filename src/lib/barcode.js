@@ -0,0 +1,100 @@
+// Barcode normalization: UPC-A/E, EAN-8/13 and GTIN-14 all map to one
+// GTIN-14 key, so a code scanned as 12 digits finds the 13/14-digit form
+// stored in the CSV (and vice versa). Non-GTIN codes are matched as typed.
+
+// Normalize a barcode/string for matching
+export function normCode(v) {
+  let s = String(v ?? "");
+  s = s.replace(/\uFEFF/g, ""); // strip BOM
+  s = s.trim();
+  s = s.replace(/\s+/g, "");   // remove internal spaces
+  s = s.replace(/[^\w-]/g, ""); // keep letters/numbers/_/-
+  return s;
+}
+
+// GS1 mod-10 check digit for the digits before it (weights 3,1,3,… from the right)
+export function gtinCheckDigit(body) {
+  let sum = 0;
+  for (let i = body.length - 1, w = 3; i >= 0; i--, w = 4 - w) sum += Number(body[i]) * w;
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function isValidGtin(code) {
+  return /^\d{8,14}$/.test(code) && gtinCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * UPC-E → UPC-A. Accepts 6 digits (number system 0 assumed), 7 (NS + 6) or
+ * 8 (NS + 6 + check, which must match). Returns the 12-digit UPC-A or null.
+ */
+export function expandUpcE(code) {
+  let s = String(code ?? "");
+  if (!/^\d{6,8}$/.test(s)) return null;
+  if (s.length === 6) s = "0" + s;
+  const ns = s[0];
+  if (ns !== "0" && ns !== "1") return null;
+  const [d1, d2, d3, d4, d5, d6] = s.slice(1, 7);
+
+  let body;
+  if (d6 <= "2") body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === "3") body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === "4") body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+
+  const upca = ns + body + gtinCheckDigit(ns + body);
+  if (s.length === 8 && s[7] !== upca[11]) return null;
+  return upca;
+}
+
+const TYPE_BY_LENGTH = { 8: "ean-8", 12: "upc-a", 13: "ean-13", 14: "gtin-14" };
+
+/**
+ * { code, type, gtin14, valid }
+ *  - type: "ean-8" | "upc-a" | "ean-13" | "gtin-14" | "upc-e" | "other"
+ *  - gtin14: canonical key when the code is a valid GTIN (after zero padding)
+ *  - valid: false when the code has a GTIN length but a wrong check digit,
+ *    null when the check doesn't apply
+ */
+export function classifyBarcode(raw) {
+  const code = normCode(raw);
+  if (!/^\d+$/.test(code) || code.length > 14) return { code, type: "other", gtin14: null, valid: null };
+
+  if (TYPE_BY_LENGTH[code.length]) {
+    const valid = isValidGtin(code);
+    if (valid) return { code, type: TYPE_BY_LENGTH[code.length], gtin14: code.padStart(14, "0"), valid };
+    // an 8-digit code can still be a UPC-E with its own check rules
+    const upca = code.length === 8 ? expandUpcE(code) : null;
+    if (upca) return { code, type: "upc-e", gtin14: upca.padStart(14, "0"), valid: true };
+    return { code, type: TYPE_BY_LENGTH[code.length], gtin14: null, valid: false };
+  }
+
+  // Shorter codes: GTINs that lost leading zeros (spreadsheets do this)
+  if (code.length > 8 && isValidGtin(code.padStart(14, "0"))) {
+    return { code, type: "gtin-14", gtin14: code.padStart(14, "0"), valid: true };
+  }
+  // 6 or 7 digits: UPC-E without its check digit (nothing to validate)
+  const upca = code.length >= 6 && code.length <= 7 ? expandUpcE(code) : null;
+  if (upca) return { code, type: "upc-e", gtin14: upca.padStart(14, "0"), valid: null };
+  return { code, type: "other", gtin14: null, valid: null };
+}
+
+/**
+ * Lookup keys for a code: the normalized code first, then its GTIN-14 (and the
+ * UPC-E expansion of 8-digit codes that are also valid EAN-8s), then the
+ * leading-zero-stripped form for non-GTIN numeric codes — 6/7-digit UPC-Es
+ * included, since those may just as well be internal codes.
+ */
+export function barcodeKeys(raw) {
+  const info = classifyBarcode(raw);
+  const keys = [info.code];
+  if (info.gtin14) keys.push(info.gtin14);
+  if (info.code.length === 8 && info.type === "ean-8") {
+    const upca = expandUpcE(info.code);
+    if (upca) keys.push(upca.padStart(14, "0"));
+  }
+  if ((!info.gtin14 || info.code.length < 8) && /^\d+$/.test(info.code)) {
+    const stripped = info.code.replace(/^0+/, "");
+    if (stripped && stripped !== info.code) keys.push(stripped);
+  }
+  return Array.from(new Set(keys.filter(Boolean)));
+}
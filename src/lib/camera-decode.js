@@ -0,0 +1,191 @@
+// Barcode decoding for the camera scanner.
+// Uses the browser BarcodeDetector when it supports all our formats, otherwise
+// the pure-JS ZXing decoder. `decodeImageData` works on any { data, width, height }
+// RGBA buffer (a canvas ImageData or a decoded still image), so it runs in tests.
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource,
+} from "@zxing/library";
+import { expandUpcE } from "./barcode.js";
+
+// BarcodeDetector format names (also what we report back)
+export const CAMERA_FORMATS = ["ean_13", "ean_8", "upc_a", "upc_e", "code_128", "qr_code"];
+
+const ZXING_FORMATS = {
+  [BarcodeFormat.EAN_13]: "ean_13",
+  [BarcodeFormat.EAN_8]: "ean_8",
+  [BarcodeFormat.UPC_A]: "upc_a",
+  [BarcodeFormat.UPC_E]: "upc_e",
+  [BarcodeFormat.CODE_128]: "code_128",
+  [BarcodeFormat.QR_CODE]: "qr_code",
+};
+
+let reader = null;
+function getReader() {
+  if (reader) return reader;
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, Object.keys(ZXING_FORMATS).map(Number));
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+}
+
+// RGBA → 8-bit luminance (ITU-R BT.601 weights, integer math)
+export function toLuminance({ data, width, height }) {
+  const out = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+    out[i] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+  }
+  return out;
+}
+
+// UPC-E is read here: ZXing 0.21's UPC-E reader never returns a result.
+// Digits as bar/space widths (space first), odd parity; even parity is the
+// same widths reversed. The parities of the six digits give the number
+// system and the check digit.
+const UPCE_ODD = ["3211", "2221", "2122", "1411", "1132", "1231", "1114", "1312", "1213", "3112"].map((s) => [...s].map(Number));
+const UPCE_EVEN = UPCE_ODD.map((w) => [...w].reverse());
+const UPCE_PARITY = ["EEEOOO", "EEOEOO", "EEOOEO", "EEOOOE", "EOEEOO", "EOOEEO", "EOOOEE", "EOEOEO", "EOEOOE", "EOOEOE"];
+const UPCE_RUNS = 33; // start guard 3, six digits × 4, end guard 6
+const UPCE_MODULES = 51;
+
+// 33 run widths, bar first → "0dddddd c" or null
+function readUpcERuns(runs) {
+  const unit = runs.reduce((a, b) => a + b, 0) / UPCE_MODULES;
+  const guards = [...runs.slice(0, 3), ...runs.slice(27)];
+  if (guards.some((w) => Math.abs(w / unit - 1) > 0.6)) return null;
+  let digits = "";
+  let parity = "";
+  for (let i = 0; i < 6; i++) {
+    const w = runs.slice(3 + i * 4, 7 + i * 4);
+    const total = w.reduce((a, b) => a + b, 0);
+    let best = null;
+    for (let d = 0; d < 10; d++) {
+      for (const [p, table] of [["O", UPCE_ODD], ["E", UPCE_EVEN]]) {
+        const err = w.reduce((sum, x, k) => sum + Math.abs((x * 7) / total - table[d][k]), 0);
+        if (!best || err < best.err) best = { d, p, err };
+      }
+    }
+    if (best.err > 1.5) return null;
+    digits += best.d;
+    parity += best.p;
+  }
+  for (const ns of [0, 1]) {
+    const check = UPCE_PARITY.indexOf(ns ? [...parity].map((p) => (p === "E" ? "O" : "E")).join("") : parity);
+    const code = `${ns}${digits}${check}`;
+    if (check >= 0 && expandUpcE(code)) return code; // expandUpcE checks the check digit
+  }
+  return null;
+}
+
+// Rows from the middle outwards; the symbol may run either way
+function decodeUpcE(bitmap) {
+  const width = bitmap.getWidth();
+  const height = bitmap.getHeight();
+  const step = Math.max(1, Math.floor(height / 24));
+  for (let i = 0; i * step < height; i++) {
+    const y = Math.floor(height / 2) + (i % 2 ? 1 : -1) * Math.ceil(i / 2) * step;
+    if (y < 0 || y >= height) continue;
+    let row;
+    try {
+      row = bitmap.getBlackRow(y, null);
+    } catch {
+      continue;
+    }
+    // run widths along the row; even indexes are spaces (the first is 0 when the row starts dark)
+    const runs = [];
+    let color = false;
+    let len = 0;
+    for (let x = 0; x < width; x++) {
+      if (row.get(x) === color) len++;
+      else {
+        runs.push(len);
+        color = !color;
+        len = 1;
+      }
+    }
+    runs.push(len);
+    for (let k = 1; k + UPCE_RUNS <= runs.length; k += 2) {
+      const window = runs.slice(k, k + UPCE_RUNS);
+      const unit = window.reduce((a, b) => a + b, 0) / UPCE_MODULES;
+      const before = runs[k - 1];
+      const after = runs[k + UPCE_RUNS] ?? 0;
+      // a quiet zone on each side, unless the symbol touches the frame edge
+      if ((before < unit * 3 && k > 1) || (after < unit * 3 && k + UPCE_RUNS < runs.length)) continue;
+      const code = readUpcERuns(window) || readUpcERuns([...window].reverse());
+      if (code) return code;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode one frame/still. Returns { text, format } or null when nothing
+ * readable is in the image.
+ */
+export function decodeImageData(imageData) {
+  const { width, height } = imageData;
+  if (!width || !height) return null;
+  const source = new RGBLuminanceSource(toLuminance(imageData), width, height);
+  const bitmap = new BinaryBitmap(new HybridBinarizer(source));
+  try {
+    const result = getReader().decodeWithState(bitmap);
+    return { text: result.getText(), format: ZXING_FORMATS[result.getBarcodeFormat()] || "unknown" };
+  } catch {
+    // NotFound / Checksum / Format exceptions all mean "no code here" — unless it is a UPC-E
+    const upce = decodeUpcE(bitmap);
+    return upce ? { text: upce, format: "upc_e" } : null;
+  } finally {
+    getReader().reset();
+  }
+}
+
+// Native detector only when it reads every format we scan: one that lacks,
+// say, UPC-E would miss those codes with no ZXing behind it
+async function nativeDetector() {
+  if (typeof window === "undefined" || !("BarcodeDetector" in window)) return null;
+  try {
+    const supported = await window.BarcodeDetector.getSupportedFormats();
+    if (!CAMERA_FORMATS.every((f) => supported.includes(f))) return null;
+    return new window.BarcodeDetector({ formats: CAMERA_FORMATS });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns { kind: "native" | "zxing", detect(video, canvas) } where detect
+ * resolves to { text, format } or null for the current video frame.
+ */
+export async function createDetector() {
+  const native = await nativeDetector();
+  if (native) {
+    return {
+      kind: "native",
+      async detect(video) {
+        const codes = await native.detect(video);
+        const c = codes?.[0];
+        return c ? { text: c.rawValue, format: c.format } : null;
+      },
+    };
+  }
+
+  return {
+    kind: "zxing",
+    async detect(video, canvas) {
+      const w = video.videoWidth;
+      const h = video.videoHeight;
+      if (!w || !h) return null;
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      ctx.drawImage(video, 0, 0, w, h);
+      return decodeImageData(ctx.getImageData(0, 0, w, h));
+    },
+  };
+}
@@ -0,0 +1,122 @@
+// CSV parsing and barcode indexing for loaded files. Runs inside the CSV
+// worker (src/lib/csv-import.worker.js) and, where workers aren't available,
+// on the main thread — so nothing here may touch the DOM.
+import Papa from "papaparse";
+import { barcodeKeys } from "./barcode.js";
+
+const DELIMITERS = [",", "\t", ";", "|"];
+const SAMPLE_LINES = 20;
+
+export const toNumber = (v) => {
+  const n = typeof v === "number" ? v : parseFloat(String(v ?? "").replace(/[\s,]/g, ""));
+  return Number.isFinite(n) ? n : 0;
+};
+
+const stripBom = (x) => x?.replace(/\uFEFF/g, "");
+
+/**
+ * Delimiter of a CSV from its first lines, in one pass: count each candidate
+ * outside quotes per line and pick the one that splits the header and appears
+ * the same number of times on the most lines (ties go to the earlier candidate).
+ */
+export function detectDelimiter(text) {
+  const counts = []; // per line: { ",": n, … }
+  let line = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+  let quoted = false;
+  let empty = true;
+  for (let i = 0; i < text.length && counts.length < SAMPLE_LINES; i++) {
+    const c = text[i];
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === "\n" || c === "\r")) {
+      if (!empty) counts.push(line);
+      line = Object.fromEntries(DELIMITERS.map((d) => [d, 0]));
+      empty = true;
+      continue;
+    } else if (!quoted && c in line) line[c]++;
+    if (c.trim()) empty = false;
+  }
+  if (!empty && counts.length < SAMPLE_LINES) counts.push(line);
+  if (!counts.length) return ",";
+
+  let best = ",";
+  let bestScore = 0;
+  for (const d of DELIMITERS) {
+    const header = counts[0][d];
+    if (!header) continue;
+    const score = counts.filter((l) => l[d] === header).length;
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse CSV text into header-keyed rows with a single Papa pass.
+ * `onProgress(rows, fraction)` is called after each chunk.
+ * Returns { rows, headers, reason, delimiter, linebreak, bom }; `reason` says why no rows came out.
+ */
+export function parseCSVText(text, { onProgress } = {}) {
+  if (!text || !text.trim()) return { rows: [], headers: [], reason: "CSV text is empty" };
+
+  const clean = stripBom(text);
+  const delimiter = detectDelimiter(clean);
+  const rows = [];
+  let linebreak = "\r\n";
+  Papa.parse(clean, {
+    header: true,
+    skipEmptyLines: "greedy",
+    delimiter,
+    transformHeader: (h) => stripBom(String(h || "").trim()),
+    chunkSize: 1 << 20,
+    chunk: (res) => {
+      for (const r of res.data) rows.push(r);
+      if (res.meta?.linebreak) linebreak = res.meta.linebreak;
+      onProgress?.(rows.length, clean.length ? res.meta.cursor / clean.length : 1);
+    },
+  });
+
+  if (!rows.length) {
+    const firstLine = clean.split(/\r?\n/)[0]?.slice(0, 200) || "";
+    return { rows: [], headers: [], reason: `No rows parsed. First line: "${firstLine}"` };
+  }
+  return {
+    rows,
+    headers: Object.keys(rows[0] || {}),
+    reason: null,
+    // layout of the original file, so exports can be written back in it
+    delimiter,
+    linebreak,
+    bom: text.charCodeAt(0) === 0xfeff,
+  };
+}
+
+/**
+ * Barcode key (as typed + canonical GTIN-14) → { row: index into `rows`, pack }.
+ * Pack barcodes point at their parent row; unit barcodes win on collisions.
+ * Row indexes rather than rows, so the map can be posted back from the worker cheaply.
+ */
+export function buildBarcodeIndex(rows, cols) {
+  const m = new Map();
+  if (!cols) return m;
+  rows.forEach((r, i) => {
+    for (const key of barcodeKeys(r[cols.barcode])) {
+      if (key) m.set(key, { row: i, pack: null });
+    }
+  });
+  for (const p of cols.packs || []) {
+    rows.forEach((r, i) => {
+      const code = String(r[p.barcode] ?? "").trim();
+      if (!code) return;
+      // a carton code without its multiplier can't be converted to units
+      const size = p.level ? toNumber(r[p.qty]) : 1;
+      if (!(size > 0)) return;
+      const pack = { label: p.label, size, barcode: code };
+      for (const key of barcodeKeys(code)) {
+        if (key && !m.has(key)) m.set(key, { row: i, pack });
+      }
+    });
+  }
+  return m;
+}
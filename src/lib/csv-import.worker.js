@@ -0,0 +1,51 @@
+// Worker side of src/lib/csv-worker.js. Keeps the last parsed rows, so
+// re-indexing after a column mapping change doesn't send the file back in,
+// and the last workbook, so switching sheets doesn't read it again. Rows are
+// known by `rowsId` (the parse's call id, or the id sent with them): an index
+// call for rows it no longer holds gets "stale" back instead of another file's index.
+//   → { id, type: "parse", text }                       ← { id, type: "progress", rows, fraction } … { id, type: "parsed", result, rowsId }
+//   → { id, type: "parse-xlsx", bookId, buffer, sheet }  ← the same, with result.sheets / sheet / headerRow
+//   → { id, type: "index", cols, rowsId, rows? }        ← { id, type: "indexed", index } | { id, type: "stale" }
+// Failures come back as { id, type: "error", message }.
+import { buildBarcodeIndex, parseCSVText } from "./csv-import.js";
+import { readWorkbook, workbookRows } from "./xlsx-import.js";
+
+let rows = [];
+let rowsId = null;
+let book = null; // { id, wb }
+
+self.onmessage = async ({ data: msg }) => {
+  const { id } = msg;
+  let last = 0;
+  const onProgress = (count, fraction) => {
+    const now = Date.now();
+    if (now - last < 100) return;
+    last = now;
+    self.postMessage({ id, type: "progress", rows: count, fraction });
+  };
+  try {
+    if (msg.type === "parse") {
+      const result = parseCSVText(msg.text, { onProgress });
+      rows = result.rows;
+      rowsId = id;
+      self.postMessage({ id, type: "parsed", result, rowsId });
+    } else if (msg.type === "parse-xlsx") {
+      if (book?.id !== msg.bookId) book = { id: msg.bookId, wb: await readWorkbook(msg.buffer) };
+      const result = workbookRows(book.wb, msg.sheet, { onProgress });
+      rows = result.rows;
+      rowsId = id;
+      self.postMessage({ id, type: "parsed", result, rowsId });
+    } else if (msg.type === "index") {
+      if (msg.rows) {
+        rows = msg.rows;
+        rowsId = msg.rowsId;
+      } else if (msg.rowsId !== rowsId) {
+        self.postMessage({ id, type: "stale" });
+        return;
+      }
+      self.postMessage({ id, type: "indexed", index: buildBarcodeIndex(rows, msg.cols) });
+    }
+  } catch (e) {
+    self.postMessage({ id, type: "error", message: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,115 @@
+// Main-thread side of the CSV worker: parsing (CSV and Excel) and barcode
+// indexing run off the UI thread, with progress and cancellation. Falls back
+// to doing the same work inline where module workers aren't supported.
+import { buildBarcodeIndex, parseCSVText } from "./csv-import.js";
+import { readWorkbook, workbookRows } from "./xlsx-import.js";
+
+let worker = null;
+let seq = 0; // call ids, also the ids of row sets the worker holds
+const rowsIds = new WeakMap(); // rows array → id the worker knows it by
+const pending = new Map(); // id → { resolve, reject, onProgress }
+
+function abortError() {
+  const e = new Error("Cancelled");
+  e.name = "AbortError";
+  return e;
+}
+
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === "undefined") return null;
+  try {
+    worker = new Worker(new URL("./csv-import.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    return null;
+  }
+  worker.onmessage = ({ data: msg }) => {
+    const p = pending.get(msg.id);
+    if (!p) return;
+    if (msg.type === "progress") {
+      p.onProgress?.(msg.rows, msg.fraction);
+      return;
+    }
+    pending.delete(msg.id);
+    if (msg.type === "error") p.reject(new Error(msg.message));
+    else p.resolve(msg);
+  };
+  worker.onerror = (e) => {
+    const err = new Error(e?.message || "CSV worker failed");
+    stopWorker(err);
+  };
+  return worker;
+}
+
+// Ends the worker (and whatever it was doing); pending calls reject with `reason`
+function stopWorker(reason) {
+  worker?.terminate();
+  worker = null;
+  for (const p of pending.values()) p.reject(reason);
+  pending.clear();
+}
+
+function call(message, onProgress) {
+  const w = getWorker();
+  const id = ++seq;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress });
+    w.postMessage({ ...message, id });
+  });
+}
+
+/**
+ * Parse CSV text off the main thread (see parseCSVText for the result).
+ * `onProgress(rows, fraction)` reports as it goes; aborting `signal` stops the
+ * worker and rejects with an AbortError.
+ */
+export async function parseCSVInBackground(text, { onProgress, signal } = {}) {
+  if (signal?.aborted) throw abortError();
+  if (!getWorker()) return parseCSVText(text, { onProgress });
+
+  const onAbort = () => stopWorker(abortError());
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    const { result, rowsId } = await call({ type: "parse", text }, onProgress);
+    rowsIds.set(result.rows, rowsId);
+    return result;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Rows of one sheet of an Excel workbook (see workbookRows), read off the main
+ * thread. `bookId` names the file: the worker keeps the last workbook it read,
+ * so picking another sheet of the same file doesn't read it again.
+ */
+export async function parseWorkbookInBackground(buffer, { bookId, sheet, onProgress, signal } = {}) {
+  if (signal?.aborted) throw abortError();
+  if (!getWorker()) return workbookRows(await readWorkbook(buffer), sheet, { onProgress });
+
+  const onAbort = () => stopWorker(abortError());
+  signal?.addEventListener("abort", onAbort, { once: true });
+  try {
+    const { result, rowsId } = await call({ type: "parse-xlsx", bookId, buffer, sheet }, onProgress);
+    rowsIds.set(result.rows, rowsId);
+    return result;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/** Barcode index of `rows` under `cols` (see buildBarcodeIndex), built off the main thread. */
+export async function buildIndexInBackground(rows, cols) {
+  if (!getWorker()) return buildBarcodeIndex(rows, cols);
+  // Rows the worker parsed are named by id only. It may have moved on to
+  // another parse meanwhile: then it answers "stale" and the rows are sent.
+  const known = rowsIds.get(rows);
+  if (known != null) {
+    const out = await call({ type: "index", cols, rowsId: known });
+    if (out.type !== "stale") return out.index;
+  }
+  const rowsId = ++seq;
+  rowsIds.set(rows, rowsId);
+  const { index } = await call({ type: "index", cols, rowsId, rows });
+  return index;
+}
@@ -0,0 +1,16 @@
+// Key of a saved column mapping: an order-insensitive FNV-1a over the trimmed,
+// lower-cased header names. Shared by the app and netlify/functions/column-maps.mjs,
+// so a mapping saved from one is found by the other.
+export function headerFingerprint(headers) {
+  const list = Array.isArray(headers) ? headers : [];
+  const text = list
+    .map((h) => String(h ?? "").replace(/\uFEFF/g, "").trim().toLowerCase())
+    .sort()
+    .join("\n");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return `${list.length}-${h.toString(16).padStart(8, "0")}`;
+}
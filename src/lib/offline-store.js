@@ -0,0 +1,43 @@
+// Tiny IndexedDB key/value store for offline use.
+// Keys in use: "file:<key>" (CSV text or workbook bytes), "sheet:<key>" (sheet
+// picked in a workbook), "scans:<key>" (last server state), "session:<key>",
+// "list:<ns>" (cloud file list), "colmaps:<ns>" (saved column mappings),
+// "upload:<ns>" (unfinished chunked upload, with its File), "queue" (unsent scan events).
+// Every call degrades to a no-op when IndexedDB is unavailable (private mode etc.).
+
+const DB_NAME = "inventory-scanner";
+const STORE = "kv";
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDB();
+  if (!db) return undefined;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = () => resolve(undefined);
+      tx.onabort = () => resolve(undefined);
+    } catch {
+      resolve(undefined);
+    }
+  });
+}
+
+export const idbGet = (key) => run("readonly", (s) => s.get(key));
+export const idbSet = (key, value) => run("readwrite", (s) => s.put(value, key));
+export const idbDel = (key) => run("readwrite", (s) => s.delete(key));
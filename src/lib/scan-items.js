@@ -0,0 +1,32 @@
+// Per-item totals of scan entries. Shared by the app and the functions
+// (netlify/functions/_scan-log.mjs imports it), so both add up counts alike.
+
+/**
+ * One row per item (barcode) with the actuals of its locations summed and
+ * compared with the latest On Hand; `locations` lists the entries counted.
+ * A count without a location is of the whole item, not one more bin: when an
+ * item has both, whichever kind was counted last is used.
+ */
+export function aggregateItems(diffs) {
+  const byCode = new Map();
+  for (const d of Array.isArray(diffs) ? diffs : []) {
+    const list = byCode.get(d.barcode);
+    if (list) list.push(d);
+    else byCode.set(d.barcode, [d]);
+  }
+  return Array.from(byCode.values(), (entries) => {
+    const latest = entries.reduce((a, d) => (String(d.ts || "") > String(a.ts || "") ? d : a));
+    const whole = entries.find((d) => !d.location);
+    const bins = entries.filter((d) => d.location);
+    const used = whole && bins.length ? (latest === whole ? [whole] : bins) : entries;
+    const { location, ...item } = latest;
+    const actual = used.reduce((n, d) => n + d.actual, 0);
+    return {
+      ...item,
+      actual,
+      delta: actual - (item.prevOnHand ?? 0),
+      recount: used.some((d) => d.recount === "pending") ? "pending" : latest.recount,
+      locations: used,
+    };
+  });
+}
@@ -0,0 +1,111 @@
+// Fuzzy item search over names and codes, for labels that can't be scanned.
+// Text is folded so "Café", "cafe" and "CAFE" match, Arabic spelling variants
+// (hamza forms, taa marbuta, alef maqsura, harakat, tatweel, the "ال" article)
+// match each other, and Arabic-Indic digits match Latin ones.
+
+const ARABIC_LETTERS = { "أ": "ا", "إ": "ا", "آ": "ا", "ٱ": "ا", "ى": "ي", "ئ": "ي", "ؤ": "و", "ة": "ه" };
+
+export function foldText(v) {
+  return String(v ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "") // accents and Arabic harakat
+    .replace(/ـ/g, "") // tatweel
+    .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+    .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+    .replace(/[أإآٱىئؤة]/g, (c) => ARABIC_LETTERS[c])
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+// Words of a folded text; Arabic words also without their "ال" article
+function tokens(folded) {
+  const out = [];
+  for (const w of folded.split(" ")) {
+    if (!w) continue;
+    out.push(w);
+    if (w.length > 3 && w.startsWith("ال")) out.push(w.slice(2));
+  }
+  return out;
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (cur[j] < best) best = cur[j];
+    }
+    if (best > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Pre-fold the searchable text of each row.
+ * `nameCols` / `codeCols` are header names; empty values are skipped.
+ */
+export function buildSearchIndex(rows, nameCols, codeCols) {
+  return (rows || []).map((row) => {
+    const name = foldText(nameCols.map((c) => row[c] ?? "").join(" "));
+    const codes = codeCols.map((c) => foldText(row[c]).replace(/ /g, "")).filter(Boolean);
+    return { row, name, words: tokens(name), codes };
+  });
+}
+
+// How well one query word matches one entry (0 = not at all)
+function wordScore(q, entry) {
+  let best = 0;
+  for (const c of entry.codes) {
+    if (c === q) return 10;
+    if (q.length >= 3 && c.includes(q)) best = Math.max(best, 6); // digits left on a torn label
+  }
+  for (const w of entry.words) {
+    if (w === q) best = Math.max(best, 5);
+    else if (w.startsWith(q)) best = Math.max(best, 4);
+    else if (q.length >= 3 && w.includes(q)) best = Math.max(best, 2);
+    else if (q.length >= 4) {
+      // typo: compare with the start of the word so half-typed words still count
+      const max = q.length >= 7 ? 2 : 1;
+      if (editDistance(q, w.slice(0, q.length + 1), max) <= max) best = Math.max(best, 1.5);
+    }
+  }
+  return best;
+}
+
+/**
+ * Ranked matches for `query`: every query word must match the name or a code.
+ * Returns [{ row, score }], best first.
+ */
+export function searchItems(index, query, limit = 20) {
+  const folded = foldText(query);
+  // entries carry both forms of "ال" words, so the query only needs the bare one
+  const qs = folded.split(" ").filter(Boolean).map((q) => (q.length > 3 && q.startsWith("ال") ? q.slice(2) : q));
+  if (!qs.length) return [];
+  // a code typed with its punctuation ("CB-45") folds to several words: it is also tried whole
+  const whole = qs.length > 1 ? folded.replace(/ /g, "") : null;
+
+  const hits = [];
+  for (const entry of index) {
+    let score = 0;
+    for (const q of qs) {
+      const s = wordScore(q, entry);
+      if (!s) {
+        score = 0;
+        break;
+      }
+      score += s;
+    }
+    if (whole) score = Math.max(score, wordScore(whole, { codes: entry.codes, words: [] }));
+    if (!score) continue;
+    if (entry.name.startsWith(folded)) score += 2;
+    hits.push({ row: entry.row, score, name: entry.name });
+  }
+  hits.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+  return hits.slice(0, limit).map(({ row, score }) => ({ row, score }));
+}
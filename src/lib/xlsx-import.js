@@ -0,0 +1,124 @@
+// Excel (.xlsx / .xls) inventory files, read into the same { rows, headers, … }
+// shape as parseCSVText so column mapping and everything after it don't care
+// where the rows came from. SheetJS is loaded on first use. Like csv-import,
+// runs in the CSV worker or on the main thread.
+
+let XLSX = null;
+
+const HEADER_SCAN_ROWS = 30;
+
+// Same rule as fileTypeOf in netlify/functions/_blob-common.mjs
+export function fileTypeOf(key) {
+  const ext = String(key || "").match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase();
+  return ext === "csv" || ext === "xlsx" || ext === "xls" ? ext : null;
+}
+
+export const isWorkbookKey = (key) => {
+  const t = fileTypeOf(key);
+  return t === "xlsx" || t === "xls";
+};
+
+export async function readWorkbook(buffer) {
+  XLSX ??= await import("xlsx");
+  return XLSX.read(buffer, { type: "array", cellDates: true, dense: true });
+}
+
+// Cell value as the text a CSV export would have held
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function cellText(v) {
+  if (v == null) return "";
+  // SheetJS makes dates at local midnight: read the day back in local time
+  if (v instanceof Date) {
+    return Number.isNaN(v.getTime()) ? "" : `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())}`;
+  }
+  return String(v).trim();
+}
+
+const isNumeric = (s) => /^[-+]?[\d.,\s]+$/.test(s);
+
+/**
+ * Index of the header row among the first rows of a sheet: the first row that
+ * fills most of the sheet's width with text, so title and date lines above
+ * the table are skipped. -1 when nothing looks like a header.
+ */
+export function detectHeaderRow(aoa) {
+  const sample = aoa.slice(0, HEADER_SCAN_ROWS).map((r) => r.map(cellText).filter(Boolean));
+  const width = Math.max(0, ...sample.map((cells) => cells.length));
+  const need = Math.max(2, Math.ceil(width * 0.6));
+  return sample.findIndex((cells) => cells.length >= need && cells.filter((c) => !isNumeric(c)).length >= cells.length * 0.8);
+}
+
+// Blank headers become "Column N", repeats get " (2)", " (3)", …
+function uniqueHeaders(cells) {
+  const seen = new Map();
+  return cells.map((c, i) => {
+    const base = cellText(c) || `Column ${i + 1}`;
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return n > 1 ? `${base} (${n})` : base;
+  });
+}
+
+// Header row (0-based sheet row, -1 if none), headers and the rows below them
+function sheetTable(wb, name) {
+  const ws = wb.Sheets[name];
+  // blank rows kept so row numbers match the sheet's; the used range may not start at row 1
+  const aoa = XLSX.utils.sheet_to_json(ws, { header: 1, raw: true, defval: null, blankrows: true });
+  const top = ws?.["!ref"] ? XLSX.utils.decode_range(ws["!ref"]).s.r : 0;
+  const at = detectHeaderRow(aoa);
+  if (at < 0) return { headerRow: -1, headers: [], body: [] };
+  // columns with neither a header nor data (e.g. a table starting in column B) are dropped
+  const body = aoa.slice(at + 1);
+  const keep = aoa[at].map((_, j) => j).filter((j) => cellText(aoa[at][j]) || body.some((r) => cellText(r[j])));
+  const headers = uniqueHeaders(keep.map((j) => aoa[at][j]));
+  return { headerRow: top + at, headers, body: body.map((r) => keep.map((j) => r[j])) };
+}
+
+/**
+ * Rows of one sheet of a workbook read by readWorkbook. Without `sheet`, the
+ * first sheet that has a header row and data is used.
+ * `onProgress(rows, fraction)` is called every few thousand rows.
+ */
+export function workbookRows(wb, sheet, { onProgress } = {}) {
+  const sheets = wb.SheetNames || [];
+  let name = sheets.includes(sheet) ? sheet : null;
+  let table = name ? sheetTable(wb, name) : null;
+  if (!name) {
+    for (const s of sheets) {
+      const t = sheetTable(wb, s);
+      if (t.body.length && t.headerRow >= 0) {
+        name = s;
+        table = t;
+        break;
+      }
+    }
+  }
+  const meta = { sheets, sheet: name || sheets[0] || "", delimiter: ",", linebreak: "\r\n", bom: false };
+  if (!table || table.headerRow < 0) {
+    return { ...meta, rows: [], headers: [], headerRow: null, reason: "No header row found in the workbook" };
+  }
+
+  const { headers, body } = table;
+  const rows = [];
+  body.forEach((cells, i) => {
+    const row = {};
+    let filled = false;
+    headers.forEach((h, j) => {
+      const v = cellText(cells[j]);
+      if (v) filled = true;
+      row[h] = v;
+    });
+    if (filled) rows.push(row);
+    if (i % 5000 === 4999) onProgress?.(rows.length, i / body.length);
+  });
+  onProgress?.(rows.length, 1);
+
+  return {
+    ...meta,
+    rows,
+    headers,
+    headerRow: table.headerRow + 1, // 1-based, as Excel shows it
+    reason: rows.length ? null : `No rows below the headers on sheet "${meta.sheet}"`,
+  };
+}
@@ -3,3 +3,8 @@ import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
 createRoot(document.getElementById('root')).render(<React.StrictMode><App/></React.StrictMode>)
+
+// Offline shell (production builds only; the dev server serves modules live)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js').catch(() => {}))
+}
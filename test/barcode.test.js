@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { barcodeKeys, classifyBarcode, expandUpcE, gtinCheckDigit } from "../src/lib/barcode.js";
+
+test("computes GS1 check digits", () => {
+  assert.equal(gtinCheckDigit("03600029145"), "2");
+  assert.equal(gtinCheckDigit("400638133393"), "1");
+  assert.equal(gtinCheckDigit("9638507"), "4");
+});
+
+test("classifies GTINs by length and validates their check digit", () => {
+  assert.deepEqual(classifyBarcode("036000291452"), { code: "036000291452", type: "upc-a", gtin14: "00036000291452", valid: true });
+  assert.deepEqual(classifyBarcode("4006381333931"), { code: "4006381333931", type: "ean-13", gtin14: "04006381333931", valid: true });
+  assert.deepEqual(classifyBarcode("96385074"), { code: "96385074", type: "ean-8", gtin14: "00000096385074", valid: true });
+  assert.deepEqual(classifyBarcode("036000291453"), { code: "036000291453", type: "upc-a", gtin14: null, valid: false });
+});
+
+test("UPC-A, EAN-13 and GTIN-14 forms of one code share its GTIN-14 key", () => {
+  const key = "00036000291452";
+  for (const code of ["036000291452", "0036000291452", "00036000291452", " 0360 0029 1452 "]) {
+    assert.ok(barcodeKeys(code).includes(key), code);
+  }
+});
+
+test("codes that lost their leading zeros still find the GTIN", () => {
+  assert.deepEqual(classifyBarcode("36000291452"), { code: "36000291452", type: "gtin-14", gtin14: "00036000291452", valid: true });
+});
+
+test("expands UPC-E to UPC-A", () => {
+  assert.equal(expandUpcE("04252614"), "042100005264");
+  assert.equal(expandUpcE("0425261"), "042100005264");
+  assert.equal(expandUpcE("425261"), "042100005264");
+  assert.equal(expandUpcE("04252615"), null); // wrong check digit
+  assert.equal(expandUpcE("24252614"), null); // number system 0 or 1 only
+});
+
+test("6- and 7-digit codes are UPC-E and keep their as-typed keys", () => {
+  assert.deepEqual(classifyBarcode("425261"), { code: "425261", type: "upc-e", gtin14: "00042100005264", valid: null });
+  assert.deepEqual(barcodeKeys("0425261"), ["0425261", "00042100005264", "425261"]);
+});
+
+test("other codes are matched as typed", () => {
+  assert.deepEqual(classifyBarcode("SKU-123"), { code: "SKU-123", type: "other", gtin14: null, valid: null });
+  assert.deepEqual(barcodeKeys("\uFEFFSKU-123 "), ["SKU-123"]);
+  assert.deepEqual(barcodeKeys("00123"), ["00123", "123"]);
+});
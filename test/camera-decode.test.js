@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { CAMERA_FORMATS, createDetector, decodeImageData } from "../src/lib/camera-decode.js";
+import { FIXTURES } from "./fixtures/make-barcodes.mjs";
+import { readPng } from "./png.js";
+
+const fixture = (format) => readPng(new URL(`./fixtures/barcodes/${format}.png`, import.meta.url));
+
+test("every camera format has a fixture", () => {
+  assert.deepEqual(Object.keys(FIXTURES).sort(), [...CAMERA_FORMATS].sort());
+});
+
+for (const [format, text] of Object.entries(FIXTURES)) {
+  test(`decodes ${format}`, () => {
+    assert.deepEqual(decodeImageData(fixture(format)), { text, format });
+  });
+}
+
+// UPC-E goes through the app's own reader (see camera-decode.js); a code held
+// upside down reaches it right to left
+test("decodes a mirrored upc_e", () => {
+  const { data, width, height } = fixture("upc_e");
+  const mirrored = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) mirrored.set(data.subarray((y * width + x) * 4, (y * width + x) * 4 + 4), (y * width + width - 1 - x) * 4);
+  }
+  assert.deepEqual(decodeImageData({ data: mirrored, width, height }), { text: FIXTURES.upc_e, format: "upc_e" });
+});
+
+test("returns null for an image without a code", () => {
+  const blank = { data: new Uint8ClampedArray(64 * 32 * 4).fill(230), width: 64, height: 32 };
+  assert.equal(decodeImageData(blank), null);
+  assert.equal(decodeImageData({ data: new Uint8ClampedArray(0), width: 0, height: 0 }), null);
+});
+
+// A fake BarcodeDetector that supports `formats`
+function withNativeDetector(formats, run) {
+  globalThis.window = {
+    BarcodeDetector: class {
+      static async getSupportedFormats() {
+        return formats;
+      }
+    },
+  };
+  return run().finally(() => delete globalThis.window);
+}
+
+test("uses the native detector when it reads every camera format", () =>
+  withNativeDetector([...CAMERA_FORMATS, "pdf417"], async () => {
+    assert.equal((await createDetector()).kind, "native");
+  }));
+
+test("falls back to ZXing when the native detector misses a format", () =>
+  withNativeDetector(CAMERA_FORMATS.filter((f) => f !== "upc_e"), async () => {
+    assert.equal((await createDetector()).kind, "zxing");
+  }));
+
+test("falls back to ZXing without a native detector", async () => {
+  assert.equal((await createDetector()).kind, "zxing");
+});
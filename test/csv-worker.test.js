@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// The real worker module behind a fake Worker: messages are cloned and
+// delivered asynchronously, like postMessage. Every message the worker
+// receives is kept in `received`.
+const received = [];
+const workerScope = { onmessage: null, postMessage: (data) => queueMicrotask(() => fake?.onmessage?.({ data: structuredClone(data) })) };
+let fake = null;
+globalThis.self = workerScope;
+globalThis.Worker = class {
+  constructor() {
+    fake = this;
+  }
+  postMessage(data) {
+    const msg = structuredClone(data);
+    received.push(msg);
+    setTimeout(() => workerScope.onmessage({ data: msg }));
+  }
+  terminate() {}
+};
+await import("../src/lib/csv-import.worker.js");
+const { parseCSVInBackground, buildIndexInBackground } = await import("../src/lib/csv-worker.js");
+
+const COLS = { barcode: "Barcode" };
+
+test("indexes the rows the worker parsed without sending them back", async () => {
+  const { rows } = await parseCSVInBackground("Barcode,Name\nA1,Apples\nB2,Bread\n");
+  received.length = 0;
+  const index = await buildIndexInBackground(rows, COLS);
+  assert.deepEqual([...index.keys()].sort(), ["A1", "B2"]);
+  assert.deepEqual(received.map((m) => !!m.rows), [false]);
+});
+
+test("sends the rows again when the worker has parsed another file since", async () => {
+  const first = await parseCSVInBackground("Barcode,Name\nA1,Apples\nB2,Bread\n");
+  await parseCSVInBackground("Barcode,Name\nZ9,Zucchini\n");
+  received.length = 0;
+  const index = await buildIndexInBackground(first.rows, COLS);
+  assert.deepEqual([...index.keys()].sort(), ["A1", "B2"]);
+  assert.deepEqual(received.map((m) => !!m.rows), [false, true]);
+
+  // the worker holds the first file's rows again, under their new id
+  received.length = 0;
+  assert.equal((await buildIndexInBackground(first.rows, COLS)).get("B2").row, 1);
+  assert.deepEqual(received.map((m) => !!m.rows), [false]);
+});
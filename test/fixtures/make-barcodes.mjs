@@ -0,0 +1,138 @@
+// Writes the barcode fixtures in test/fixtures/barcodes/ — one grayscale PNG
+// per camera format, with a quiet zone, lowered contrast and pixel noise so
+// the decoder has to binarize a real-looking image. The 1D symbols are drawn
+// from the symbology tables here, not by ZXing, so the tests don't check the
+// decoder against itself. Run: node test/fixtures/make-barcodes.mjs
+import { writeFileSync } from "node:fs";
+import { deflateSync } from "node:zlib";
+import { BarcodeFormat, QRCodeWriter } from "@zxing/library";
+
+export const FIXTURES = {
+  ean_13: "4006381333931",
+  ean_8: "96385074",
+  upc_a: "036000291452",
+  upc_e: "04252614",
+  code_128: "INV-2024-0042",
+  qr_code: "LOC:A-01",
+};
+
+// EAN/UPC digit patterns (1 = bar): odd parity (L), even parity (G), right (R)
+const L = ["0001101", "0011001", "0010011", "0111101", "0100011", "0110001", "0101111", "0111011", "0110111", "0001011"];
+const G = L.map((p) => [...p].reverse().map((b) => (b === "1" ? "0" : "1")).join(""));
+const R = L.map((p) => [...p].map((b) => (b === "1" ? "0" : "1")).join(""));
+const EAN13_PARITY = ["LLLLLL", "LLGLGG", "LLGGLG", "LLGGGL", "LGLLGG", "LGGLLG", "LGGGLL", "LGLGLG", "LGLGGL", "LGGLGL"];
+// UPC-E with number system 0, by check digit (E = even parity)
+const UPCE_PARITY = ["EEEOOO", "EEOEOO", "EEOOEO", "EEOOOE", "EOEEOO", "EOOEEO", "EOOOEE", "EOEOEO", "EOEOOE", "EOOEOE"];
+
+const digits = (s) => [...s].map(Number);
+
+function ean13(code) {
+  const [first, ...rest] = digits(code);
+  const left = rest.slice(0, 6).map((d, i) => (EAN13_PARITY[first][i] === "L" ? L : G)[d]).join("");
+  return "101" + left + "01010" + rest.slice(6).map((d) => R[d]).join("") + "101";
+}
+
+function ean8(code) {
+  const d = digits(code);
+  return "101" + d.slice(0, 4).map((x) => L[x]).join("") + "01010" + d.slice(4).map((x) => R[x]).join("") + "101";
+}
+
+function upce(code) {
+  const d = digits(code);
+  const parity = UPCE_PARITY[d[7]];
+  return "101" + d.slice(1, 7).map((x, i) => (parity[i] === "E" ? G : L)[x]).join("") + "010101";
+}
+
+// Code 128 bar/space widths by symbol value; 104 = Start B, 106 = Stop
+const C128 = (
+  "212222 222122 222221 121223 121322 131222 122213 122312 132212 221213 221312 231212 112232 122132 122231 113222 " +
+  "123122 123221 223211 221132 221231 213212 223112 312131 311222 321122 321221 312212 322112 322211 212123 212321 " +
+  "232121 111323 131123 131321 112313 132113 132311 211313 231113 231311 112133 112331 132131 113123 113321 133121 " +
+  "313121 211331 231131 213113 213311 213131 311123 311321 331121 312113 312311 332111 314111 221411 431111 111224 " +
+  "111422 121124 121421 141122 141221 112214 112412 122114 122411 142112 142211 241211 221114 413111 241112 134111 " +
+  "111242 121142 121241 114212 124112 124211 411212 421112 421211 212141 214121 412121 111143 111341 131141 114113 " +
+  "114311 411113 411311 113141 114131 311141 411131 211412 211214 211232 2331112"
+).split(" ");
+
+function code128(text) {
+  const values = [104, ...[...text].map((c) => c.charCodeAt(0) - 32)];
+  const check = values.reduce((sum, v, i) => sum + v * Math.max(i, 1), 0) % 103;
+  return [...values, check, 106]
+    .map((v) => [...C128[v]].map((w, i) => (i % 2 ? "0" : "1").repeat(Number(w))).join(""))
+    .join("");
+}
+
+function qr(text) {
+  const m = new QRCodeWriter().encode(text, BarcodeFormat.QR_CODE, 0, 0, new Map());
+  return Array.from({ length: m.getHeight() }, (_, y) => Array.from({ length: m.getWidth() }, (_, x) => (m.get(x, y) ? "1" : "0")).join(""));
+}
+
+const MODULES = {
+  ean_13: (c) => [ean13(c)],
+  ean_8: (c) => [ean8(c)],
+  upc_a: (c) => [ean13("0" + c)],
+  upc_e: (c) => [upce(c)],
+  code_128: (c) => [code128(c)],
+  qr_code: qr,
+};
+
+// Rows of modules → grayscale pixels: 1D codes are repeated down 60 px
+function render(rows, { scale, quiet }) {
+  const lines = rows.length === 1 ? Array(Math.ceil(60 / scale)).fill(rows[0]) : rows;
+  const width = (lines[0].length + quiet * 2) * scale;
+  const height = (lines.length + (rows.length === 1 ? 4 : quiet * 2)) * scale;
+  const top = (height / scale - lines.length) / 2;
+  let seed = 42;
+  const noise = () => ((seed = (seed * 1103515245 + 12345) % 2 ** 31) / 2 ** 31 - 0.5) * 40;
+  const px = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const row = lines[Math.floor(y / scale) - top];
+      const bar = row?.[Math.floor(x / scale) - quiet] === "1";
+      px[y * width + x] = Math.max(0, Math.min(255, Math.round((bar ? 40 : 215) + noise())));
+    }
+  }
+  return { width, height, px };
+}
+
+const CRC = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (buf) => {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "ascii");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+function png({ width, height, px }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr.set([8, 0, 0, 0, 0], 8); // 8-bit grayscale
+  const raw = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) raw.set(px.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  for (const [format, text] of Object.entries(FIXTURES)) {
+    const image = render(MODULES[format](text), format === "qr_code" ? { scale: 6, quiet: 4 } : { scale: 3, quiet: 12 });
+    writeFileSync(new URL(`./barcodes/${format}.png`, import.meta.url), png(image));
+  }
+}
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { headerFingerprint } from "../src/lib/header-fingerprint.js";
+
+const HEADERS = ["Barcode", "Item Name", "On Hand"];
+
+// Saved mappings are keyed by this value: it must not change between releases
+test("keeps the fingerprint saved profiles are keyed by", () => {
+  assert.equal(headerFingerprint(HEADERS), "3-aba31c17");
+});
+
+test("ignores column order, case, surrounding spaces and a BOM", () => {
+  const fp = headerFingerprint(HEADERS);
+  assert.equal(headerFingerprint(["On Hand", "Barcode", "Item Name"]), fp);
+  assert.equal(headerFingerprint(["\uFEFFbarcode", "  ITEM NAME ", "on hand"]), fp);
+});
+
+test("tells different headers apart", () => {
+  const fp = headerFingerprint(HEADERS);
+  assert.notEqual(headerFingerprint(["Barcode", "Item Name", "Qty"]), fp);
+  assert.notEqual(headerFingerprint([...HEADERS, "Cost"]), fp);
+  assert.notEqual(headerFingerprint(["Barcode", "ItemName", "On Hand"]), fp);
+});
+
+test("handles missing headers", () => {
+  assert.equal(headerFingerprint(null), headerFingerprint([]));
+  assert.match(headerFingerprint([null, undefined]), /^2-[0-9a-f]{8}$/);
+});
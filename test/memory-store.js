@@ -0,0 +1,32 @@
+// In-memory stand-in for a Netlify Blobs store: the calls the functions make
+// (get, getWithMetadata, set, delete, list by prefix), nothing more.
+export function memoryStore() {
+  const blobs = new Map(); // key -> { data: string, metadata }
+
+  const read = (entry, type) => {
+    if (type === "json") return JSON.parse(entry.data);
+    if (type === "text" || !type) return entry.data;
+    throw new Error(`memoryStore: unsupported type ${type}`);
+  };
+
+  return {
+    blobs,
+    async get(key, { type } = {}) {
+      const entry = blobs.get(key);
+      return entry ? read(entry, type) : null;
+    },
+    async getWithMetadata(key, { type } = {}) {
+      const entry = blobs.get(key);
+      return entry ? { data: read(entry, type), metadata: entry.metadata } : null;
+    },
+    async set(key, value, { metadata = {} } = {}) {
+      blobs.set(key, { data: Buffer.isBuffer(value) ? value.toString("utf8") : String(value), metadata });
+    },
+    async delete(key) {
+      blobs.delete(key);
+    },
+    async list({ prefix = "" } = {}) {
+      return { blobs: [...blobs.keys()].filter((k) => k.startsWith(prefix)).sort().map((key) => ({ key })) };
+    },
+  };
+}
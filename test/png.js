@@ -0,0 +1,60 @@
+// Minimal PNG reader for the fixtures: 8-bit gray, gray+alpha, RGB or RGBA,
+// not interlaced. Returns { data, width, height } with RGBA pixels, the shape
+// of a canvas ImageData.
+import { readFileSync } from "node:fs";
+import { inflateSync } from "node:zlib";
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+export function readPng(path) {
+  const buf = readFileSync(path);
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  const idat = [];
+  for (let at = 8; at < buf.length; ) {
+    const len = buf.readUInt32BE(at);
+    const type = buf.toString("ascii", at + 4, at + 8);
+    const data = buf.subarray(at + 8, at + 8 + len);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      channels = CHANNELS[data[9]];
+      if (data[8] !== 8 || !channels || data[12] !== 0) throw new Error(`${path}: unsupported PNG layout`);
+    } else if (type === "IDAT") {
+      idat.push(data);
+    }
+    at += 12 + len;
+  }
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const px = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? px[y * stride + x - channels] : 0;
+      const b = y > 0 ? px[(y - 1) * stride + x] : 0;
+      const c = x >= channels && y > 0 ? px[(y - 1) * stride + x - channels] : 0;
+      const pred = [0, a, b, (a + b) >> 1, paeth(a, b, c)][filter];
+      px[y * stride + x] = (line[x] + pred) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const p = px.subarray(i * channels, (i + 1) * channels);
+    const [r, g, b] = channels >= 3 ? p : [p[0], p[0], p[0]];
+    data.set([r, g, b, channels % 2 === 0 ? p[channels - 1] : 255], i * 4);
+  }
+  return { data, width, height };
+}
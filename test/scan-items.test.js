@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { aggregateItems } from "../src/lib/scan-items.js";
+
+const entry = (barcode, location, actual, ts, extra = {}) => ({ barcode, location, actual, ts, prevOnHand: 10, ...extra });
+const byCode = (diffs) => Object.fromEntries(aggregateItems(diffs).map((it) => [it.barcode, it]));
+
+test("sums an item's bins and compares the total with On Hand", () => {
+  const { A } = byCode([entry("A", "A-01", 4, "2024-01-01T10:00:00Z"), entry("A", "B-02", 5, "2024-01-01T10:05:00Z")]);
+  assert.equal(A.actual, 9);
+  assert.equal(A.delta, -1);
+  assert.deepEqual(A.locations.map((d) => d.location), ["A-01", "B-02"]);
+  assert.equal("location" in A, false);
+});
+
+test("keeps items apart", () => {
+  const items = byCode([entry("A", "A-01", 4, "2024-01-01T10:00:00Z"), entry("B", "A-01", 7, "2024-01-01T10:01:00Z")]);
+  assert.deepEqual([items.A.actual, items.B.actual], [4, 7]);
+});
+
+test("a whole-item count counted after the bins replaces them", () => {
+  const { A } = byCode([
+    entry("A", "A-01", 4, "2024-01-01T10:00:00Z"),
+    entry("A", "B-02", 5, "2024-01-01T10:05:00Z"),
+    entry("A", "", 12, "2024-01-01T11:00:00Z"),
+  ]);
+  assert.equal(A.actual, 12);
+  assert.equal(A.delta, 2);
+  assert.deepEqual(A.locations.map((d) => d.actual), [12]);
+});
+
+test("bins counted after a whole-item count replace it", () => {
+  const { A } = byCode([
+    entry("A", undefined, 12, "2024-01-01T09:00:00Z"),
+    entry("A", "A-01", 4, "2024-01-01T10:00:00Z"),
+    entry("A", "B-02", 5, "2024-01-01T10:05:00Z"),
+  ]);
+  assert.equal(A.actual, 9);
+  assert.deepEqual(A.locations.map((d) => d.location).sort(), ["A-01", "B-02"]);
+});
+
+test("takes name and On Hand from the latest entry", () => {
+  const { A } = byCode([
+    entry("A", "A-01", 4, "2024-01-01T10:00:00Z", { name: "old", prevOnHand: 3 }),
+    entry("A", "B-02", 5, "2024-01-01T10:05:00Z", { name: "new", prevOnHand: 8 }),
+  ]);
+  assert.equal(A.name, "new");
+  assert.equal(A.delta, 1);
+});
+
+test("an item awaits a recount while any bin it uses does", () => {
+  const { A } = byCode([
+    entry("A", "A-01", 40, "2024-01-01T10:00:00Z", { recount: "pending" }),
+    entry("A", "B-02", 5, "2024-01-01T10:05:00Z", { recount: "done" }),
+  ]);
+  assert.equal(A.recount, "pending");
+  const { B } = byCode([
+    entry("B", "A-01", 40, "2024-01-01T10:00:00Z", { recount: "pending" }),
+    entry("B", "", 12, "2024-01-01T11:00:00Z"),
+  ]);
+  assert.equal(B.recount, undefined); // the replaced bin no longer counts
+});
+
+test("handles no entries", () => {
+  assert.deepEqual(aggregateItems([]), []);
+  assert.deepEqual(aggregateItems(null), []);
+});
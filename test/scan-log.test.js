@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  foldScanEvents,
+  normalizeEvents,
+  appendScanEvents,
+  readScanState,
+  scansKeyFor,
+  scanLogPrefixFor,
+  compactScanLog,
+  NOTHING_FOLDED,
+} from "../netlify/functions/_scan-log.mjs";
+import { migrateFile } from "../netlify/functions/scans-migrate.mjs";
+import { memoryStore } from "./memory-store.js";
+
+const FILE = "Jeddah/stock.csv";
+
+const count = (barcode, actual, ts, extra = {}) => ({ id: `c-${barcode}-${ts}`, type: "count", barcode, actual, ts, receivedAt: ts, ...extra });
+const add = (barcode, qty, ts, extra = {}) => ({ id: `a-${barcode}-${ts}`, type: "add", barcode, qty, ts, receivedAt: ts, ...extra });
+const actualOf = (diffs, barcode) => diffs.find((d) => d.barcode === barcode)?.actual;
+
+test("the newest count wins, whatever order the events arrive in", () => {
+  const diffs = foldScanEvents([], [count("111", 7, "2024-01-01T10:05:00.000Z"), count("111", 3, "2024-01-01T10:00:00.000Z")]);
+  assert.equal(actualOf(diffs, "111"), 7);
+  assert.equal(diffs[0].history.length, 2);
+});
+
+test("tally adds accumulate on top of the last count", () => {
+  const diffs = foldScanEvents([], [
+    count("111", 5, "2024-01-01T10:00:00.000Z"),
+    add("111", 1, "2024-01-01T10:01:00.000Z"),
+    add("111", 2, "2024-01-01T10:02:00.000Z"),
+  ]);
+  assert.equal(actualOf(diffs, "111"), 8);
+});
+
+test("an event id sent twice is folded once", () => {
+  const tally = add("111", 1, "2024-01-01T10:00:00.000Z", { id: "tally-0001" });
+  const diffs = foldScanEvents([], [tally, { ...tally, receivedAt: "2024-01-01T10:03:00.000Z" }]);
+  assert.equal(actualOf(diffs, "111"), 1);
+});
+
+test("a reset drops everything counted before it", () => {
+  const diffs = foldScanEvents([], [
+    count("111", 5, "2024-01-01T10:00:00.000Z"),
+    { id: "reset-0001", type: "reset", ts: "2024-01-01T10:01:00.000Z", receivedAt: "2024-01-01T10:01:00.000Z" },
+    count("222", 2, "2024-01-01T10:02:00.000Z"),
+  ]);
+  assert.deepEqual(diffs.map((d) => d.barcode), ["222"]);
+});
+
+test("events the base already holds are skipped, later arrivals are applied", () => {
+  const base = [{ barcode: "111", actual: 6, ts: "2024-01-01T10:00:00.000Z" }];
+  const baseAt = "2024-01-01T11:00:00.000Z";
+  const diffs = foldScanEvents(
+    base,
+    [
+      add("111", 6, "2024-01-01T10:00:00.000Z", { receivedAt: "2024-01-01T10:30:00.000Z" }), // folded into the 6
+      add("111", 2, "2024-01-01T10:10:00.000Z", { receivedAt: "2024-01-01T12:00:00.000Z" }), // offline, synced late
+    ],
+    { baseAt }
+  );
+  assert.equal(actualOf(diffs, "111"), 8);
+});
+
+test("a late count older than the base entry does not replace it", () => {
+  const base = [{ barcode: "111", actual: 6, ts: "2024-01-01T10:00:00.000Z" }];
+  const diffs = foldScanEvents(base, [count("111", 2, "2024-01-01T09:00:00.000Z", { receivedAt: "2024-01-01T12:00:00.000Z" })], {
+    baseAt: "2024-01-01T11:00:00.000Z",
+  });
+  assert.equal(actualOf(diffs, "111"), 6);
+});
+
+test("migrating a legacy snapshot keeps the log's events", async () => {
+  const store = memoryStore();
+  // written before versioning: no metadata, no foldedThrough
+  await store.set(scansKeyFor(FILE), JSON.stringify({ diffs: [{ barcode: "111", actual: 4, ts: "2024-01-01T09:00:00.000Z" }] }));
+  await store.set("scans/stock.json", JSON.stringify({ diffs: [{ barcode: "222", actual: 9, ts: "2024-01-01T09:30:00.000Z" }] }));
+  const { events } = normalizeEvents({ events: [{ id: "count-0333", barcode: "333", actual: 2, counter: "amal" }] });
+  await appendScanEvents(store, FILE, events);
+
+  const report = await migrateFile(store, "Jeddah", FILE, ["scans/stock.json"], { dryRun: false, mode: "delete", runId: "test" });
+  assert.deepEqual(report.removed, ["scans/stock.json"]);
+  assert.equal(JSON.parse(store.blobs.get(scansKeyFor(FILE)).data).foldedThrough, NOTHING_FOLDED);
+
+  const { diffs } = await readScanState(store, FILE);
+  assert.deepEqual(diffs.map((d) => [d.barcode, d.actual]).sort(), [["111", 4], ["222", 9], ["333", 2]]);
+});
+
+// A batch as scan-events appends it, received `minutesAgo`
+async function appendAgo(store, minutesAgo, events) {
+  const receivedAt = new Date(Date.now() - minutesAgo * 60000).toISOString();
+  const { events: batch } = normalizeEvents({ events });
+  return appendScanEvents(store, FILE, batch.map((e) => ({ ...e, receivedAt })));
+}
+
+const logKeys = (store) => [...store.blobs.keys()].filter((k) => k.startsWith(scanLogPrefixFor(FILE)));
+
+test("compaction folds settled batches into the snapshot and deletes them", async () => {
+  const store = memoryStore();
+  await appendAgo(store, 120, [{ id: "count-0111", barcode: "111", actual: 5, ts: "2024-01-01T10:00:00.000Z" }]);
+  await appendAgo(store, 90, [
+    { id: "edit-00111", barcode: "111", actual: 6, ts: "2024-01-01T10:05:00.000Z", correction: "edit", prevActual: 5 },
+    { id: "tally-0222", type: "add", barcode: "222", qty: 1, ts: "2024-01-01T10:06:00.000Z" },
+  ]);
+  const recent = await appendAgo(store, 1, [{ id: "tally-0223", type: "add", barcode: "222", qty: 2, ts: "2024-01-01T10:07:00.000Z" }]);
+  const before = await readScanState(store, FILE);
+
+  assert.deepEqual(await compactScanLog(store, FILE), { compacted: 2 });
+  assert.deepEqual(logKeys(store), [recent]);
+  const after = await readScanState(store, FILE);
+  assert.deepEqual(after.diffs, before.diffs);
+  assert.deepEqual(after.corrections, before.corrections);
+  assert.equal(actualOf(after.diffs, "222"), 3);
+  assert.deepEqual(await compactScanLog(store, FILE), { compacted: 0 });
+});
+
+test("a batch left behind by a compaction is not folded twice", async () => {
+  const store = memoryStore();
+  const tally = [{ id: "tally-0111", type: "add", barcode: "111", qty: 1, ts: "2024-01-01T10:00:00.000Z" }];
+  await appendAgo(store, 120, tally);
+  await compactScanLog(store, FILE);
+  await appendAgo(store, 120, tally); // as if deleting it had failed
+  assert.equal(actualOf((await readScanState(store, FILE)).diffs, "111"), 1);
+});
+
+test("a compaction that folds everything away keeps it away", async () => {
+  const store = memoryStore();
+  const tally = [{ id: "tally-0111", type: "add", barcode: "111", qty: 1, ts: "2024-01-01T10:00:00.000Z" }];
+  await appendAgo(store, 120, tally);
+  await appendAgo(store, 110, [{ id: "reset-0001", type: "reset", ts: "2024-01-01T10:01:00.000Z", correction: "reset" }]);
+  await compactScanLog(store, FILE);
+  await appendAgo(store, 120, tally);
+  const { diffs, corrections } = await readScanState(store, FILE);
+  assert.deepEqual(diffs, []);
+  assert.deepEqual(corrections.map((c) => c.correction), ["reset"]);
+});
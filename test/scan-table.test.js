@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EMPTY_SCAN_FILTER, filterScans, isFilterActive, scanWindow, sortScans } from "../src/lib/scan-table.js";
+
+const DIFFS = [
+  { barcode: "100", name: "Apples", location: "A-01", counter: "amal", actual: 12, prevOnHand: 10, delta: 2, ts: "2024-01-01T10:00:00Z" },
+  { barcode: "200", name: "Bread", location: "B-02", counter: "omar", actual: 3, prevOnHand: 5, delta: -2, ts: "2024-01-01T11:00:00Z" },
+  { barcode: "300", name: "Café beans", location: "A-10", counter: "amal", actual: 7, prevOnHand: 7, delta: 0, ts: "2024-01-01T12:00:00Z" },
+];
+const itemOf = () => null; // every entry is its own item
+const codes = (list) => list.map((d) => d.barcode);
+const filter = (f) => codes(filterScans(DIFFS, { ...EMPTY_SCAN_FILTER, ...f }, itemOf));
+
+test("filters by variance", () => {
+  assert.deepEqual(filter({}), ["100", "200", "300"]);
+  assert.deepEqual(filter({ variance: "any" }), ["100", "200"]);
+  assert.deepEqual(filter({ variance: "over" }), ["100"]);
+  assert.deepEqual(filter({ variance: "under" }), ["200"]);
+  assert.deepEqual(filter({ variance: "match" }), ["300"]);
+});
+
+test("judges variance by the item total when there is one", () => {
+  const total = { delta: 0 };
+  assert.deepEqual(codes(filterScans(DIFFS, { ...EMPTY_SCAN_FILTER, variance: "any" }, (d) => (d.barcode === "100" ? total : null))), ["200"]);
+});
+
+test("filters by counter, time range and text", () => {
+  assert.deepEqual(filter({ counter: "amal" }), ["100", "300"]);
+  assert.deepEqual(filter({ from: "2024-01-01T10:30:00Z", to: "2024-01-01T11:30:00Z" }), ["200"]);
+  assert.deepEqual(filter({ text: "cafe" }), ["300"]);
+  assert.deepEqual(filter({ text: "a-0" }), ["100"]);
+  assert.deepEqual(filter({ text: "OMAR" }), ["200"]);
+});
+
+test("knows when a filter is set", () => {
+  assert.equal(isFilterActive(EMPTY_SCAN_FILTER), false);
+  assert.equal(isFilterActive({ ...EMPTY_SCAN_FILTER, text: "  " }), false);
+  assert.equal(isFilterActive({ ...EMPTY_SCAN_FILTER, counter: "amal" }), true);
+});
+
+test("sorts by a column either way without touching the input", () => {
+  assert.deepEqual(codes(sortScans(DIFFS, { key: "delta", dir: "asc" }, itemOf)), ["200", "300", "100"]);
+  assert.deepEqual(codes(sortScans(DIFFS, { key: "name", dir: "desc" }, itemOf)), ["300", "200", "100"]);
+  assert.deepEqual(codes(sortScans(DIFFS, { key: "nope", dir: "desc" }, itemOf)), ["300", "200", "100"]); // newest first
+  assert.deepEqual(codes(DIFFS), ["100", "200", "300"]);
+});
+
+test("sorts codes numerically and breaks ties newest first", () => {
+  const list = [
+    { barcode: "10", counter: "x", ts: "2024-01-01T10:00:00Z" },
+    { barcode: "9", counter: "x", ts: "2024-01-01T11:00:00Z" },
+  ];
+  assert.deepEqual(codes(sortScans(list, { key: "barcode", dir: "asc" }, itemOf)), ["9", "10"]);
+  assert.deepEqual(codes(sortScans(list, { key: "counter", dir: "asc" }, itemOf)), ["9", "10"]);
+});
+
+test("renders only the rows around the viewport", () => {
+  const view = { rowHeight: 40, overscan: 5 };
+  assert.deepEqual(scanWindow(10000, { ...view, top: 0, height: 800 }), { start: 0, end: 25, padTop: 0, padBottom: 9975 * 40 });
+  assert.deepEqual(scanWindow(10000, { ...view, top: 4000, height: 800 }), { start: 95, end: 125, padTop: 95 * 40, padBottom: 9875 * 40 });
+  assert.deepEqual(scanWindow(10000, { ...view, top: 399200, height: 800 }), { start: 9975, end: 10000, padTop: 9975 * 40, padBottom: 0 });
+});
+
+test("keeps the window inside short or shrunken tables", () => {
+  const view = { rowHeight: 40, overscan: 5 };
+  assert.deepEqual(scanWindow(3, { ...view, top: 0, height: 800 }), { start: 0, end: 3, padTop: 0, padBottom: 0 });
+  assert.deepEqual(scanWindow(3, { ...view, top: 4000, height: 800 }), { start: 3, end: 3, padTop: 120, padBottom: 0 });
+  assert.deepEqual(scanWindow(0, { ...view, top: 0, height: 800 }), { start: 0, end: 0, padTop: 0, padBottom: 0 });
+});
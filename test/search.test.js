@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchIndex, foldText, searchItems } from "../src/lib/search.js";
+
+const ROWS = [
+  { Name: "Café Latte 250ml", Barcode: "6281000000011", SKU: "CL-250" },
+  { Name: "الأرز البسمتي", Barcode: "6281000000028", SKU: "RB-5" },
+  { Name: "شوكولاتة بالحليب", Barcode: "6281000000035", SKU: "CH-1" },
+  { Name: "Chocolate Bar", Barcode: "6281000000042", SKU: "CB-45" },
+  { Name: "مياه معدنية", Barcode: "6281000000059", SKU: "W-١٥٠٠" },
+];
+const index = buildSearchIndex(ROWS, ["Name"], ["Barcode", "SKU"]);
+const names = (query) => searchItems(index, query).map((h) => h.row.Name);
+
+test("folds case, accents and punctuation", () => {
+  assert.equal(foldText("  Café-LATTE!  "), "cafe latte");
+});
+
+test("folds Arabic spelling variants and digits", () => {
+  assert.equal(foldText("أرز"), foldText("ارز"));
+  assert.equal(foldText("إسلام آباد"), "اسلام اباد");
+  assert.equal(foldText("شوكولاتة"), foldText("شوكولاته"));
+  assert.equal(foldText("مستشفى"), foldText("مستشفي"));
+  assert.equal(foldText("مُعَلَّبَات"), "معلبات"); // harakat
+  assert.equal(foldText("حـلـيـب"), "حليب"); // tatweel
+  assert.equal(foldText("١٢٣ ۴۵۶"), "123 456");
+});
+
+test("finds names without accents", () => {
+  assert.deepEqual(names("cafe"), ["Café Latte 250ml"]);
+});
+
+test("finds Arabic names with or without hamza and the article", () => {
+  assert.deepEqual(names("ارز"), ["الأرز البسمتي"]);
+  assert.deepEqual(names("الارز"), ["الأرز البسمتي"]);
+  assert.deepEqual(names("شوكولاته"), ["شوكولاتة بالحليب"]);
+});
+
+test("tolerates small typos", () => {
+  assert.deepEqual(names("chocolte"), ["Chocolate Bar"]);
+  assert.deepEqual(names("xyzzyq"), []);
+});
+
+test("matches partial codes and Arabic-Indic digits", () => {
+  assert.deepEqual(names("00042"), ["Chocolate Bar"]); // digits left on a torn label
+  assert.deepEqual(names("cb-45"), ["Chocolate Bar"]);
+  assert.deepEqual(names("w1500"), ["مياه معدنية"]);
+});
+
+test("every word of the query must match", () => {
+  assert.deepEqual(names("chocolate bar"), ["Chocolate Bar"]);
+  assert.deepEqual(names("latte bar"), []);
+  assert.deepEqual(names("   "), []);
+});
+
+test("ranks exact codes above partial matches", () => {
+  const hits = searchItems(index, "6281000000011");
+  assert.equal(hits[0].row.Name, "Café Latte 250ml");
+});
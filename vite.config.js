@@ -3,5 +3,7 @@ import react from '@vitejs/plugin-react'
 import { resolve } from 'path'
 export default defineConfig({
   plugins: [react()],
-  resolve: { alias: { '@': resolve(__dirname, 'src') } }
+  resolve: { alias: { '@': resolve(__dirname, 'src') } },
+  // ES workers, so the CSV worker can load SheetJS only for Excel files
+  worker: { format: 'es' }
 })
\ No newline at end of file